@@ -0,0 +1,223 @@
+const { createHttpClient } = require('../lib/http');
+const { normalizeAsin } = require('../lib/identifiers');
+const { POST_PROCESSORS } = require('../lib/extract');
+const { contributorsFrom } = require('../lib/contributors');
+const { languageCodes } = require('../lib/languages');
+const { formatOf } = require('../lib/formats');
+
+// Audible catalogue API (api.audible.<tld>/1.0/catalog/products), no login needed.
+// Each marketplace has its own catalogue: the store domain and the language it sells in.
+const MARKETPLACES = {
+  us: { tld: 'com', language: 'en' },
+  uk: { tld: 'co.uk', language: 'en' },
+  ca: { tld: 'ca', language: 'en' },
+  au: { tld: 'com.au', language: 'en' },
+  in: { tld: 'in', language: 'en' },
+  de: { tld: 'de', language: 'de' },
+  fr: { tld: 'fr', language: 'fr' },
+  it: { tld: 'it', language: 'it' },
+  es: { tld: 'es', language: 'es' },
+  jp: { tld: 'co.jp', language: 'ja' }
+};
+
+const SEARCH_RESPONSE_GROUPS = 'contributors,media,product_attrs,series';
+const DETAIL_RESPONSE_GROUPS = 'contributors,media,product_attrs,product_desc,product_extended_attrs,series,category_ladders,rating';
+const SEARCH_RESULTS = 10;
+
+const names = (people) => (Array.isArray(people) ? people.map(p => p && p.name && p.name.trim()).filter(Boolean) : []);
+const unique = (list) => [...new Set(list)];
+// podcasts and dramatized productions are sold next to audiobooks ("PodcastEpisode", "Radio/TV Program")
+const formatOfProduct = (product) => formatOf(product.content_delivery_type) || formatOf(product.content_type) || 'audiobook';
+
+class AudibleProvider {
+  constructor(options = {}) {
+    this.id = 'audible';
+    this.name = 'Audible';
+    this.opts = options || {};
+    this.language = this.opts.language || 'en';
+    this.timeoutMs = this.opts.timeoutMs || 10000;
+    this.source = { id: this.id, description: this.name, link: 'https://www.audible.com' };
+    // extra.marketplace picks the store for the configured language (e.g. "uk" for English)
+    const configured = this.opts.extra && String(this.opts.extra.marketplace || '').toLowerCase();
+    this.marketplace = MARKETPLACES[configured] ? configured : this.marketplaceFor(this.language, 'us');
+    this.http = createHttpClient({
+      name: this.id,
+      timeoutMs: this.timeoutMs,
+      retry: this.opts.retry,
+      hostHeaders: Object.fromEntries(Object.values(MARKETPLACES).map(m => [`api.audible.${m.tld}`, { Accept: 'application/json' }]))
+    });
+  }
+
+  /**
+   * Marketplace for a call: a marketplace code ("uk") is taken as is; a language uses the configured
+   * marketplace when it sells in that language, otherwise the first marketplace that does.
+   * @param lang {string|undefined} per-request or configured language
+   * @param fallback {string} marketplace when lang matches none
+   */
+  marketplaceFor(lang, fallback = this.marketplace) {
+    const code = String(lang || '').toLowerCase();
+    if (MARKETPLACES[code]) return code;
+    if (this.marketplace && MARKETPLACES[this.marketplace].language === code) return this.marketplace;
+    return Object.keys(MARKETPLACES).find(m => MARKETPLACES[m].language === code) || fallback;
+  }
+
+  apiUrl(marketplace, path, params) {
+    return `https://api.audible.${MARKETPLACES[marketplace].tld}/1.0/catalog/products${path}?${new URLSearchParams(params)}`;
+  }
+
+  storeUrl(marketplace, asin) {
+    return `https://www.audible.${MARKETPLACES[marketplace].tld}/pd/${asin}`;
+  }
+
+  /**
+   * Largest product image, without the size suffix Amazon's image server scales to
+   * ("..._SL500_.jpg" -> "....jpg" is the original upload).
+   */
+  coverOf(product) {
+    const images = product.product_images || {};
+    const size = Object.keys(images).sort((a, b) => Number(b) - Number(a))[0];
+    if (!size) return null;
+    return images[size].replace(/\._[^/]*_(?=\.\w+$)/, '');
+  }
+
+  /**
+   * Search snippet of a catalogue product.
+   * @returns {object|null} null for products without ASIN or title
+   */
+  toMatch(product, marketplace) {
+    const asin = normalizeAsin(product && product.asin);
+    if (!asin || !product.title) return null;
+    return {
+      id: asin,
+      asin,
+      title: product.title,
+      subtitle: product.subtitle || undefined,
+      authors: names(product.authors),
+      contributors: contributorsFrom({ author: product.authors, narrator: product.narrators }),
+      url: this.storeUrl(marketplace, asin),
+      cover: this.coverOf(product),
+      type: formatOfProduct(product),
+      locale: marketplace,
+      source: this.source
+    };
+  }
+
+  async searchBooks(query, author = '', lang, options = {}) {
+    const requestId = options.requestId || 'req';
+    const marketplace = this.marketplaceFor(lang);
+    try {
+      console.log(`[${requestId}] Searching Audible ${marketplace} for: "${query}" by "${author}"`);
+      const params = { title: query, num_results: SEARCH_RESULTS, products_sort_by: 'Relevance', response_groups: SEARCH_RESPONSE_GROUPS, image_sizes: '500' };
+      if (author) params.author = author;
+      const { data } = await this.http.get(this.apiUrl(marketplace, '', params), { signal: options.signal });
+      const products = (data && Array.isArray(data.products)) ? data.products : [];
+      return { matches: products.map(p => this.toMatch(p, marketplace)).filter(Boolean) };
+    } catch (error) {
+      console.error(`[${requestId}] Error searching Audible:`, error.message);
+      return { matches: [] };
+    }
+  }
+
+  /**
+   * ASIN lookup in the marketplace for `lang`. Audible's catalogue has no ISBN search.
+   */
+  async searchByIdentifier(type, value, lang, options = {}) {
+    const asin = type === 'asin' ? normalizeAsin(value) : '';
+    if (!asin) return { matches: [] };
+    const marketplace = this.marketplaceFor(lang);
+    try {
+      const product = await this.fetchProduct(asin, marketplace, SEARCH_RESPONSE_GROUPS, options);
+      const match = product && this.toMatch(product, marketplace);
+      return { matches: match ? [match] : [] };
+    } catch (error) {
+      console.error(`Audible ASIN lookup failed for ${asin}:`, error.message);
+      return { matches: [] };
+    }
+  }
+
+  /**
+   * Build a snippet for a known item (pasted audible.* link or ASIN) so getFullMetadata can fetch it directly.
+   * @param ref {{id?: string, url?: string, lang?: string}}
+   */
+  itemSnippet({ id, url, lang } = {}) {
+    let marketplace = this.marketplaceFor(lang);
+    if (url) {
+      const [address] = url.split('?');
+      const host = address.match(/audible\.(co\.uk|com\.au|co\.jp|com|ca|in|de|fr|it|es)\//i);
+      if (host) marketplace = Object.keys(MARKETPLACES).find(m => MARKETPLACES[m].tld === host[1].toLowerCase());
+      id = id || address.replace(/\/$/, '').split('/').reverse().find(part => normalizeAsin(part));
+    }
+    const asin = normalizeAsin(id);
+    if (!asin) return null;
+    return { id: asin, asin, url: this.storeUrl(marketplace, asin), type: 'audiobook', locale: marketplace, source: this.source };
+  }
+
+  /**
+   * @returns {Promise<object|null>} the catalogue product, null when the marketplace does not sell it
+   */
+  async fetchProduct(asin, marketplace, responseGroups, options = {}) {
+    const url = this.apiUrl(marketplace, `/${asin}`, { response_groups: responseGroups, image_sizes: '500,1024' });
+    const response = await this.http.get(url, { signal: options.signal, validateStatus: (s) => (s >= 200 && s < 300) || s === 404 });
+    const product = response.status === 404 ? null : response.data && response.data.product;
+    // unknown ASINs come back as a bare { asin } without catalogue data
+    return product && product.title ? product : null;
+  }
+
+  async getFullMetadata(match, options = {}) {
+    const requestId = options.requestId || 'req';
+    const marketplace = this.marketplaceFor(match.locale);
+    const asin = normalizeAsin(match.asin || match.id);
+    if (!asin) return match;
+    try {
+      console.log(`[${requestId}] Fetching Audible ${marketplace} product ${asin} (${match.title || asin})`);
+      const product = await this.fetchProduct(asin, marketplace, DETAIL_RESPONSE_GROUPS, options);
+      if (!product) return null;
+
+      // category ladders run from the top genre down ("Science Fiction & Fantasy" > "Fantasy" > "Epic")
+      const ladders = (product.category_ladders || []).map(l => names(l.ladder));
+      const rating = product.rating && product.rating.overall_distribution
+        && Number(product.rating.overall_distribution.display_average_rating);
+      const released = /^\d{4}-\d{2}-\d{2}$/.test(product.release_date || '') ? new Date(`${product.release_date}T00:00:00Z`) : null;
+
+      return {
+        ...match,
+        id: asin,
+        asin,
+        title: product.title,
+        subtitle: product.subtitle || undefined,
+        authors: names(product.authors),
+        contributors: contributorsFrom({ author: product.authors, narrator: product.narrators }),
+        url: this.storeUrl(marketplace, asin),
+        cover: this.coverOf(product) || match.cover || null,
+        duration: product.runtime_length_min || undefined,
+        publisher: product.publisher_name || '',
+        publishedDate: released,
+        description: POST_PROCESSORS.sanitizeHtml(product.publisher_summary || product.merchandising_summary || ''),
+        series: (product.series || []).map(s => ({ series: s.title, sequence: s.sequence || undefined })),
+        genres: unique(ladders.map(l => l[0]).filter(Boolean)),
+        tags: unique(ladders.flatMap(l => l.slice(1))),
+        rating: Number.isFinite(rating) && rating > 0 ? rating : null,
+        languages: languageCodes(product.language),
+        type: formatOfProduct(product),
+        locale: marketplace,
+        identifiers: {
+          asin,
+          audible: asin,
+        },
+      };
+    } catch (error) {
+      console.error(`[${requestId}] Error fetching Audible metadata for ${match.title || asin}:`, error.message);
+      return match;
+    }
+  }
+}
+
+module.exports = AudibleProvider;
+// languages of the marketplaces; a marketplace code ("uk", "au") is also accepted as the configured language
+module.exports.supportedLanguages = ['en', 'de', 'fr', 'it', 'es', 'ja'];
+// identifier types searchByIdentifier() can resolve
+module.exports.identifierTypes = ['asin'];
+// fields the health canaries expect in the product details
+module.exports.healthFields = ['title', 'authors', 'cover', 'narrator', 'duration'];
+// pasted links the backbone routes to this provider
+module.exports.urlPatterns = [/^https?:\/\/(?:www\.)?audible\.(?:com|co\.uk|ca|com\.au|in|de|fr|it|es|co\.jp)\/pd\//i];
@@ -1,41 +1,10 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
-
-function cleanCoverUrl(url) {
-  if (url) {
-    return url.split('?')[0];
-  }
-  return url;
-}
-
-function parseDuration(durationStr) {
-  if (!durationStr) return undefined;
-
-  let hours = 0;
-  let minutes = 0;
-
-  const durationRegex = /^(?:(\d+)\s+[^\d\s]+)?\s*(?:(\d+)\s+[^\d\s]+)$/;
-  const matches = durationStr.match(durationRegex);
-
-  if (matches) {
-    if (matches[1]) {
-      hours = parseInt(matches[1], 10);
-    }
-    if (matches[2]) {
-      minutes = parseInt(matches[2], 10);
-    }
-  } else {
-    if (durationStr.trim()) {
-      console.warn(`Could not parse duration string using provided regex: "${durationStr}"`);
-    }
-    return undefined;
-  }
-
-  if (isNaN(hours)) hours = 0;
-  if (isNaN(minutes)) minutes = 0;
-
-  return (hours * 60) + minutes;
-}
+const { createHttpClient } = require('../lib/http');
+const { getRules } = require('../lib/rules');
+const { extractFields } = require('../lib/extract');
+const { contributorsFrom } = require('../lib/contributors');
+const { languageCodes } = require('../lib/languages');
+const { formatOf } = require('../lib/formats');
 
 const DEFAULT_METADATA_CONCURRENCY = 5;
 
@@ -46,6 +15,7 @@ class AudiotekaProvider {
     this.baseUrl = 'https://audioteka.com';
     this.opts = options || {};
     this.language = this.opts.language || process.env.LANGUAGE || 'pl';
+    this.timeoutMs = this.opts.timeoutMs || 10000;
     // Respect explicit boolean in options.extra.addLinkToDescription. If undefined, fall back to env/default.
     if (this.opts.extra && typeof this.opts.extra.addLinkToDescription !== 'undefined') {
       this.addAudiotekaLinkToDescription = !!this.opts.extra.addLinkToDescription;
@@ -56,59 +26,62 @@ class AudiotekaProvider {
       const v = parseInt(process.env.METADATA_CONCURRENCY, 10);
       return Number.isFinite(v) && v > 0 ? v : DEFAULT_METADATA_CONCURRENCY;
     })();
-    this.searchUrl = this.language === 'cz' ? 'https://audioteka.com/cz/vyhledavani' : 'https://audioteka.com/pl/szukaj';
+    this.searchUrl = this.searchUrlFor(this.language);
+    this.http = createHttpClient({
+      name: this.id,
+      timeoutMs: this.timeoutMs,
+      retry: this.opts.retry,
+      hostHeaders: {
+        'audioteka.com': { 'Accept-Language': this.language === 'cz' ? 'cs-CZ' : 'pl-PL' }
+      }
+    });
+  }
+
+  searchUrlFor(language) {
+    return language === 'cz' ? 'https://audioteka.com/cz/vyhledavani' : 'https://audioteka.com/pl/szukaj';
+  }
+
+  /**
+   * Resolve the catalogue language for a call: a supported per-request language wins over the configured one.
+   */
+  resolveLanguage(lang) {
+    return lang && AudiotekaProvider.supportedLanguages.includes(lang) ? lang : this.language;
   }
 
-  async searchBooks(query, author = '', requestId = 'req') {
+  async searchBooks(query, author = '', lang, options = {}) {
+    const requestId = options.requestId || 'req';
+    const language = this.resolveLanguage(lang);
     try {
-      console.log(`[${requestId}] Searching for: "${query}" by "${author}"`);
-      const searchUrl = `${this.searchUrl}?phrase=${encodeURIComponent(query)}`;
+      console.log(`[${requestId}] Searching for: "${query}" by "${author}" (${language})`);
+      const searchUrl = `${this.searchUrlFor(language)}?phrase=${encodeURIComponent(query)}`;
 
-      const response = await axios.get(searchUrl, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-          'Accept-Language': this.language === 'cz' ? 'cs-CZ' : 'pl-PL'
-        }
+      const response = await this.http.get(searchUrl, {
+        headers: { 'Accept-Language': language === 'cz' ? 'cs-CZ' : 'pl-PL' },
+        signal: options.signal
       });
       const $ = cheerio.load(response.data);
 
+      const rules = getRules(this.id, language).search;
       const matches = [];
-      const $books = $('.adtk-item.teaser_teaser__FDajW');
-
-      $books.each((index, element) => {
-        const $book = $(element);
-
-        const title = $book.find('.teaser_title__hDeCG').text().trim();
-        const bookUrl = this.baseUrl + $book.find('.teaser_link__fxVFQ').attr('href');
-        const authors = [$book.find('.teaser_author__LWTRi').text().trim()];
-  // try common lazy-load attributes and fallbacks for cover
-  // Try several selectors and lazy-load attributes for teaser cover; normalize and clean URL
-  const teaserEl = $book.find('.teaser_coverImage__YMrBt, img.teaser-image, img');
-  let coverSrc = teaserEl.attr('src') || teaserEl.attr('data-src') || teaserEl.attr('data-srcset') || teaserEl.attr('srcset') || teaserEl.find('source').attr('srcset');
-  if (coverSrc && typeof coverSrc === 'string' && coverSrc.includes(',')) {
-    coverSrc = coverSrc.split(',')[0].trim().split(' ')[0];
-  }
-  const cover = cleanCoverUrl(coverSrc || null) || null;
-        const rating = parseFloat($book.find('.teaser-footer_rating__TeVOA').text().trim()) || null;
-
-        const id = $book.attr('data-item-id') || bookUrl.split('/').pop();
 
-        if (title && bookUrl && authors.length > 0) {
-          matches.push({
-            id,
-            title,
-            authors,
-            url: bookUrl,
-            cover,
-            rating,
-            type: 'audiobook', // explicit: Audioteka provides audiobooks
-            source: {
-              id: this.id,
-              description: this.name,
-              link: this.baseUrl,
-            },
-          });
-        }
+      $(rules.item).each((index, element) => {
+        const fields = extractFields($, $(element), rules.fields, { baseUrl: this.baseUrl });
+        if (!fields.title || !fields.url) return;
+        matches.push({
+          id: fields.id || fields.url.split('/').pop(),
+          title: fields.title,
+          authors: fields.authors || [],
+          url: fields.url,
+          cover: fields.cover || null,
+          rating: fields.rating || null,
+          type: 'audiobook', // explicit: Audioteka provides audiobooks
+          locale: language, // catalogue the snippet came from; getFullMetadata reads it with this language's rules
+          source: {
+            id: this.id,
+            description: this.name,
+            link: this.baseUrl,
+          },
+        });
       });
 
   // Return lightweight snippets here. Backbone will call getFullMetadata for selected candidates.
@@ -119,6 +92,33 @@ class AudiotekaProvider {
     }
   }
 
+  /**
+   * Build a snippet for a known item (pasted URL or id) so getFullMetadata can fetch it directly.
+   * @param ref {{id?: string, url?: string, lang?: string}}
+   */
+  itemSnippet({ id, url, lang } = {}) {
+    let language = this.resolveLanguage(lang);
+    if (url) {
+      const m = url.match(/audioteka\.com\/(pl|cz)\//i);
+      if (m) language = m[1].toLowerCase();
+      id = id || url.split('?')[0].replace(/\/$/, '').split('/').pop();
+    } else if (id) {
+      url = `${this.baseUrl}/${language}/${language === 'cz' ? 'audiokniha' : 'audiobook'}/${encodeURIComponent(id)}`;
+    }
+    if (!url) return null;
+    return {
+      id,
+      url,
+      type: 'audiobook',
+      locale: language,
+      source: {
+        id: this.id,
+        description: this.name,
+        link: this.baseUrl,
+      },
+    };
+  }
+
   async mapWithConcurrency(items, iteratorFn, limit = 5) {
     const results = new Array(items.length);
     let i = 0;
@@ -138,282 +138,100 @@ class AudiotekaProvider {
     return results;
   }
 
-  async getFullMetadata(match) {
-    try {
-      let requestId = 'req';
-      if (arguments.length >= 2 && arguments[1]) requestId = arguments[1];
-      console.log(`[${requestId}] Fetching full metadata for: ${match.title}`);
-      const response = await axios.get(match.url);
-      const $ = cheerio.load(response.data);
-
-    let narrators = '';
-    if (this.language === 'cz') {
-        let narratorCell = $('table tr').filter(function() {
-          const text = $(this).find('td:first-child').text().trim();
-          return text === 'Interpret' || text === 'Čte';
-        }).find('td:last-child');
-
-        const narratorLinks = narratorCell.find('a');
-        if (narratorLinks.length > 0) {
-          narrators = narratorLinks.map((i, el) => $(el).text().trim()).get().join(', ');
-        } else {
-          narrators = narratorCell.text().trim();
-        }
-
-        if (!narrators) {
-          $('dt').each((i, el) => {
-            const text = $(el).text().trim();
-            if (text === 'Interpret' || text === 'Čte') {
-              const ddElement = $(el).next('dd');
-              const ddLinks = ddElement.find('a');
-              if (ddLinks.length > 0) {
-                narrators = ddLinks.map((i, el) => $(el).text().trim()).get().join(', ');
-              } else {
-                narrators = ddElement.text().trim();
-              }
-            }
-          });
-        }
-
-        if (!narrators) {
-          const narratorDiv = $('.product-detail-item').filter(function() {
-            return $(this).find('.label').text().trim() === 'Interpret' || 
-                   $(this).find('.label').text().trim() === 'Čte';
-          }).find('.value');
-
-          const divLinks = narratorDiv.find('a');
-          if (divLinks.length > 0) {
-            narrators = divLinks.map((i, el) => $(el).text().trim()).get().join(', ');
-          } else {
-            narrators = narratorDiv.text().trim();
-          }
-        }
-
-        if (narrators && !narrators.includes(',') && narrators.match(/[A-ZÁČĎÉĚÍŇÓŘŠŤÚŮÝŽ][a-záčďéěíňóřšťúůýž]+[A-ZÁČĎÉĚÍŇÓŘŠŤÚŮÝŽ]/)) {
-          narrators = narrators.replace(/([a-záčďéěíňóřšťúůýž])([A-ZÁČĎÉĚÍŇÓŘŠŤÚŮÝŽ])/g, '$1, $2');
-        }
-      } else {
-        let narratorCell = $('dt').filter(function() {
-          return $(this).text().trim() === 'Głosy';
-        }).next('dd');
-
-        const narratorLinks = narratorCell.find('a');
-        if (narratorLinks.length > 0) {
-          narrators = narratorLinks.map((i, el) => $(el).text().trim()).get().join(', ');
-        } else {
-          narrators = narratorCell.text().trim();
-        }
-
-        if (!narrators) {
-          narrators = $('.product-table tr:contains("Głosy") td:last-child a')
-            .map((i, el) => $(el).text().trim())
-            .get()
-            .join(', ') || $('.product-table tr:contains("Głosy") td:last-child').text().trim();
-        }
-
-        if (narrators && !narrators.includes(',') && narrators.match(/[A-ZĄĆĘŁŃÓŚŹŻ][a-ząćęłńóśźż]+[A-ZĄĆĘŁŃÓŚŹŻ]/)) {
-          narrators = narrators.replace(/([a-ząćęłńóśźż])([A-ZĄĆĘŁŃÓŚŹŻ])/g, '$1, $2');
-        }
-      }
-
-  let durationStr = '';
-  if (this.language === 'cz') {
-        durationStr = $('table tr').filter(function() {
-          const text = $(this).find('td:first-child').text().trim();
-          return text === 'Délka' || text === 'Stopáž';
-        }).find('td:last-child').text().trim();
-
-        if (!durationStr) {
-          $('dt').each((i, el) => {
-            const text = $(el).text().trim();
-            if (text === 'Délka' || text === 'Stopáž') {
-              durationStr = $(el).next('dd').text().trim();
-            }
-          });
-        }
-
-        if (!durationStr) {
-          durationStr = $('.product-detail-item').filter(function() {
-            return $(this).find('.label').text().trim() === 'Délka' || 
-                   $(this).find('.label').text().trim() === 'Stopáž';
-          }).find('.value').text().trim();
-        }
-      } else {
-        durationStr = $('.product-table tr:contains("Długość") td:last-child').text().trim();
-      }
-
-      const durationInMinutes = parseDuration(durationStr);
-
-  let publisher = '';
-  try {
-    if (this.language === 'cz') {
-        publisher = $('table tr').filter(function() {
-          const text = $(this).find('td:first-child').text().trim();
-          return text === 'Vydavatel' || text === 'Nakladatel';
-        }).find('td:last-child').text().trim();
-
-        if (!publisher) {
-          $('dt').each((i, el) => {
-            const text = $(el).text().trim();
-            if (text === 'Vydavatel' || text === 'Nakladatel') {
-              publisher = $(el).next('dd').text().trim();
-            }
-          });
-        }
-
-        if (!publisher) {
-          publisher = $('.product-detail-item').filter(function() {
-            return $(this).find('.label').text().trim() === 'Vydavatel' || 
-                   $(this).find('.label').text().trim() === 'Nakladatel';
-          }).find('.value').text().trim();
-        }
-      } else {
-        // Prefer explicit publisher anchor (e.g., /pl/wydawca/ or /pl/wydawca)
-        publisher = $('.product-table tr:contains("Wydawca") td:last-child a').text().trim() ||
-                    $('.product-table tr:contains("Wydawca") td:last-child').text().trim();
-        // Some Audioteka pages show publisher as tag links without dt table
-  if (!publisher) publisher = $('a[href*="/pl/wydawca/"]').first().text().trim() || $('a[href*="/wydawca/"]').first().text().trim() || '';
-  if (!publisher) publisher = $('a[href*="/cz/vydavatel/"]').first().text().trim() || '';
-      }
-  } catch (e) {
-    publisher = '';
+  /**
+   * Series name and volume from a title, using the language's detail.seriesTitlePatterns.
+   * @returns {{series: string, sequence: string}|null}
+   */
+  seriesFromTitle(title, patterns = []) {
+    for (const pattern of patterns) {
+      const m = String(title || '').match(new RegExp(pattern, 'i'));
+      if (m) return { series: (m[1] || '').trim(), sequence: m[2] };
+    }
+    return null;
   }
 
-  let type = '';
-  if (this.language === 'cz') {
-        type = $('table tr').filter(function() {
-          const text = $(this).find('td:first-child').text().trim();
-          return text === 'Typ';
-        }).find('td:last-child').text().trim();
-
-        if (!type) {
-          $('dt').each((i, el) => {
-            const text = $(el).text().trim();
-            if (text === 'Typ') {
-              type = $(el).next('dd').text().trim();
-            }
-          });
-        }
-
-        if (!type) {
-          type = $('.product-detail-item').filter(function() {
-            return $(this).find('.label').text().trim() === 'Typ';
-          }).find('.value').text().trim();
-        }
+  /**
+   * ABS-shaped series: names from the page, then JSON-LD, then the title. The first series
+   * without a volume takes the page's "Tom"/"Díl" value or the title's.
+   * @param page {object} extracted detail fields
+   * @param linked {{series: string, sequence?: *}[]} JSON-LD isPartOf entries
+   * @returns {{series: string, sequence?: string}[]}
+   */
+  seriesFrom(page, linked, title, patterns) {
+    const list = [];
+    const add = (name, sequence) => {
+      name = String(name || '').trim();
+      if (!name) return;
+      const existing = list.find(s => s.series.toLowerCase() === name.toLowerCase());
+      if (existing) {
+        if (!existing.sequence && sequence) existing.sequence = sequence;
       } else {
-        type = $('.product-table tr:contains("Typ") td:last-child').text().trim();
+        list.push({ series: name, sequence });
       }
+    };
+    for (const name of [].concat(page.series || [])) add(name);
+    for (const s of linked) add(s.series, s.sequence);
+    const fromTitle = this.seriesFromTitle(title, patterns);
+    if (!list.length && fromTitle) add(fromTitle.series);
+    const open = list.find(s => !s.sequence);
+    if (open) open.sequence = page.seriesIndex || (fromTitle && fromTitle.sequence);
+    return list.map(({ series, sequence }) => {
+      const volume = sequence !== undefined && sequence !== null && sequence !== '' ? String(sequence).replace(',', '.') : undefined;
+      return volume ? { series, sequence: volume } : { series };
+    });
+  }
 
-  let genres = [];
-  if (this.language === 'cz') {
-        genres = $('table tr').filter(function() {
-          const text = $(this).find('td:first-child').text().trim();
-          return text === 'Kategorie' || text === 'Žánr';
-        }).find('td:last-child a')
-          .map((i, el) => $(el).text().trim())
-          .get();
-
-        if (genres.length === 0) {
-          $('dt').each((i, el) => {
-            const text = $(el).text().trim();
-            if (text === 'Kategorie' || text === 'Žánr') {
-              genres = $(el).next('dd').find('a')
-                .map((i, el) => $(el).text().trim())
-                .get();
-            }
-          });
-        }
-
-        if (genres.length === 0) {
-          genres = $('.product-detail-item').filter(function() {
-            return $(this).find('.label').text().trim() === 'Kategorie' || 
-                   $(this).find('.label').text().trim() === 'Žánr';
-          }).find('.value a')
-            .map((i, el) => $(el).text().trim())
-            .get();
-        }
-      } else {
-        genres = $('.product-table tr:contains("Kategoria") td:last-child a')
-          .map((i, el) => $(el).text().trim())
-          .get();
-      }
-
-  const bookLanguage = this.language === 'cz' ? (() => {
-        let lang = $('table tr').filter(function() {
-          const text = $(this).find('td:first-child').text().trim();
-          return text === 'Jazyk';
-        }).find('td:last-child').text().trim();
-
-        if (!lang) {
-          $('dt').each((i, el) => {
-            const text = $(el).text().trim();
-            if (text === 'Jazyk') {
-              lang = $(el).next('dd').text().trim();
-            }
-          });
-        }
-
-        if (!lang) {
-          lang = $('.product-detail-item').filter(function() {
-            return $(this).find('.label').text().trim() === 'Jazyk';
-          }).find('.value').text().trim();
-        }
+  async getFullMetadata(match, options = {}) {
+    const requestId = options.requestId || 'req';
+    const language = this.resolveLanguage(match.locale);
+    try {
+      console.log(`[${requestId}] Fetching full metadata for: ${match.title || match.url}`);
+      const response = await this.http.get(match.url, { signal: options.signal });
+      const $ = cheerio.load(response.data);
 
-        return lang;
-      })() : null;
+      const rules = getRules(this.id, language);
+      const page = extractFields($, $.root(), rules.detail.fields, { baseUrl: this.baseUrl, layouts: rules.labels });
 
-  if (this.language === 'cz' && bookLanguage && !bookLanguage.toLowerCase().includes('čeština')) {
+      // the Czech catalogue also lists Slovak editions
+      const accepted = rules.detail.acceptLanguages;
+      if (accepted && page.language && !accepted.some(l => page.language.toLowerCase().includes(l.toLowerCase()))) {
         return null;
       }
 
-      const series = $('.collections_list__09q3I li a, .product-series a, .series-info a, .product-table tr:contains("Seria") td:last-child a')
-        .map((i, el) => $(el).text().trim())
-        .get();
-
-      const rating = parseFloat($('.StarIcon__Label-sc-6cf2a375-2, .rating-value, .product-rating .value, .rating .value').text().trim()) || 
-                     parseFloat($('[class*="rating"]').text().trim()) || null;
-
-      const descriptionHtml = $('.description_description__6gcfq, .product-description, .book-description, .product-desc').html();
-
-      const sanitizedDescription = descriptionHtml
-        ? descriptionHtml
-            .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-            .replace(/<iframe\b[^<]*(?:(?!<\/iframe>)<[^<]*)*<\/iframe>/gi, '')
-        : '';
-
+      const sanitizedDescription = page.description || '';
       let description = sanitizedDescription;
       if (this.addAudiotekaLinkToDescription) {
         const audioTekaLink = `<a href="${match.url}">Audioteka link</a>`;
         description = `${audioTekaLink}<br><br>${sanitizedDescription}`;
       }
 
-  const pageCoverSrc = $('.product-top_cover__Pth8B, .product-cover img, .book-cover img, .product-image img').attr('src') || $('.product-top_cover__Pth8B, .product-cover img, .book-cover img, .product-image img').attr('data-src');
-  const pageCover = cleanCoverUrl(pageCoverSrc || match.cover) || null;
-
-      const languages = this.language === 'cz' 
-        ? ['czech'] 
-        : ['polish'];
+      // the page's language ("Jazyk" on the Czech site), else the catalogue's
+      const languages = languageCodes(page.language || language);
 
       const fullMetadata = {
         ...match,
-        cover: pageCover || match.cover,
-        narrator: narrators,
-        type: match.type || 'audiobook',
-        duration: durationInMinutes,
-        publisher,
+        cover: page.cover || match.cover,
+        narrators: page.narrators || [],
+        duration: page.duration,
+        publisher: page.publisher || '',
         description,
-        type,
-        genres,
+        // "Typ": Audiobook, Słuchowisko, Podcast, ...
+        type: formatOf(page.type) || match.type || 'audiobook',
+        genres: page.genres || [],
         series: [],
-        tags: series,
-        rating,
-        languages, 
+        // collections that are not series ("Bestsellery", "Nowości")
+        tags: page.tags || [],
+        rating: page.rating || null,
+        languages,
         identifiers: {
           audioteka: match.id,
         },
       };
+      // direct item lookups start from a bare snippet without title/authors
+      if (!fullMetadata.title) fullMetadata.title = $('h1').first().text().trim();
 
-      // JSON-LD fallback for subtitle/publisher
+      // JSON-LD fallback for authors/subtitle/publisher; `isPartOf` names the series
+      const linkedSeries = [];
       try {
         const scripts = $('.product-top script[type="application/ld+json"], script[type="application/ld+json"]');
         for (let i = 0; i < scripts.length; i++) {
@@ -422,6 +240,10 @@ class AudiotekaProvider {
           try {
             const data = JSON.parse(txt);
             const node = Array.isArray(data) ? data[0] : data;
+            if (!(fullMetadata.authors && fullMetadata.authors.length) && node.author) {
+              const people = Array.isArray(node.author) ? node.author : [node.author];
+              fullMetadata.authors = people.map(a => (typeof a === 'string' ? a : a && a.name) || '').map(a => a.trim()).filter(Boolean);
+            }
             if (!fullMetadata.subtitle) {
               const sub = node.alternativeHeadline || node.headline || node.subtitle || node.alternateName;
               if (sub && typeof sub === 'string' && sub.trim()) fullMetadata.subtitle = sub.trim();
@@ -432,17 +254,21 @@ class AudiotekaProvider {
                 else if (node.publisher.name) fullMetadata.publisher = node.publisher.name;
               }
             }
+            for (const part of [].concat(node.isPartOf || [])) {
+              const name = typeof part === 'string' ? part : part && part.name;
+              if (name) linkedSeries.push({ series: name, sequence: (part && part.position) || node.position });
+            }
           } catch (e) {
             continue;
           }
         }
       } catch (e) {}
 
+      fullMetadata.series = this.seriesFrom(page, linkedSeries, fullMetadata.title, rules.detail.seriesTitlePatterns);
+      fullMetadata.contributors = contributorsFrom({ author: fullMetadata.authors, narrator: fullMetadata.narrators });
       return fullMetadata;
     } catch (error) {
-      let requestId = 'req';
-      if (arguments.length >= 2 && arguments[1]) requestId = arguments[1];
-      console.error(`[${requestId}] Error fetching full metadata for ${match.title}:`, error.message, error.stack);
+      console.error(`[${requestId}] Error fetching full metadata for ${match.title || match.url}:`, error.message, error.stack);
       return match;
     }
   }
@@ -451,3 +277,9 @@ class AudiotekaProvider {
 module.exports = AudiotekaProvider;
 // supported languages for admin UI
 module.exports.supportedLanguages = ['pl', 'cz'];
+// Audioteka pages expose no ISBN/ASIN, so identifier lookups skip it
+module.exports.identifierTypes = [];
+// fields the health canaries expect on a detail page
+module.exports.healthFields = ['title', 'authors', 'cover', 'narrator', 'duration'];
+// pasted links the backbone routes to this provider
+module.exports.urlPatterns = [/^https?:\/\/(?:www\.)?audioteka\.com\/(?:pl|cz)\//i];
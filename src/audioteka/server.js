@@ -1,6 +1,9 @@
 const express = require('express');
 const cors = require('cors');
 const AudiotekaProvider = require('./provider');
+const { remoteRouter } = require('../lib/remote');
+const { namesOf } = require('../lib/contributors');
+const { formatLanguage } = require('../lib/languages');
 
 const app = express();
 const port = process.env.PORT || 3001;
@@ -11,6 +14,9 @@ app.use(cors());
 
 const provider = new AudiotekaProvider();
 
+// Remote provider protocol, for a backbone configured with remote.url = http://<host>:<port>/remote
+app.use('/remote', remoteRouter(provider));
+
 app.get('/search', async (req, res) => {
   try {
     const query = req.query.query;
@@ -23,8 +29,8 @@ app.get('/search', async (req, res) => {
       matches: (results.matches || []).map(book => ({
         title: book.title,
         subtitle: book.subtitle || undefined,
-        author: (book.authors || []).join(', '),
-        narrator: book.narrator || undefined,
+        author: namesOf(book, 'author').join(', '),
+        narrator: namesOf(book, 'narrator').join(', ') || undefined,
         publisher: book.publisher || undefined,
         publishedYear: book.publishedDate ? new Date(book.publishedDate).getFullYear().toString() : undefined,
         description: book.description || undefined,
@@ -33,8 +39,8 @@ app.get('/search', async (req, res) => {
         asin: book.identifiers?.asin || undefined,
         genres: book.genres || undefined,
         tags: book.tags || undefined,
-        series: book.series ? book.series.map(seriesName => ({ series: seriesName, sequence: undefined })) : undefined,
-        language: book.languages && book.languages.length > 0 ? book.languages[0] : undefined,
+        series: book.series && book.series.length ? book.series : undefined,
+        language: book.languages && book.languages.length > 0 ? formatLanguage(book.languages[0]) : undefined,
         duration: book.duration || undefined
       }))
     };
@@ -1,14 +1,15 @@
 const express = require('express');
 const cors = require('cors');
 
-// Simple backbone that loads provider modules by relative path and proxies /search
-// Expected usage: set PROVIDERS env var as a comma-separated list of provider folder paths,
-// e.g. PROVIDERS="./audioteka,./lubimyczytac"
+// Backbone that loads the providers enabled in config.json (built-in src/<name>/provider.js,
+// plugins from the config volume, or remote providers over HTTP; see src/lib/providers.js)
+// and aggregates their results behind /search
 
 const path = require('path');
 
 // Load config and create providers from config
 const configLoader = require('../lib/config');
+const { createProvider, describeProvider, describeIdlePlugins } = require('../lib/providers');
 let config = {};
 try {
   config = configLoader.loadConfig();
@@ -18,26 +19,39 @@ try {
 }
 
 let providers = [];
+// Per-profile runtimes: { [name]: { config, providers } } built from config.profiles
+let profileRuntimes = {};
 
-function reloadProviders(cfg) {
-  providers = [];
+function buildProviders(cfg, label = '') {
+  const list = [];
   for (const [name, opts] of Object.entries((cfg && cfg.providers) || {})) {
     if (!opts.enabled) {
-      console.log(`Provider ${name} is disabled in config`);
+      console.log(`Provider ${name} is disabled in config${label}`);
       continue;
     }
 
     try {
-      const candidate = require.resolve(path.resolve(__dirname, '..', name, 'provider.js'));
-      // eslint-disable-next-line import/no-dynamic-require
-      const ProviderClass = require(candidate);
-      const instance = new ProviderClass(opts);
-      providers.push({ name, instance, opts, ProviderClass });
-      console.log(`Loaded provider ${name}`);
+      const p = createProvider(name, opts);
+      list.push(p);
+      console.log(`Loaded ${p.kind} provider ${name}${label}`);
     } catch (err) {
-      console.error(`Could not load provider ${name}:`, err.message);
+      console.error(`Could not load provider ${name}${label}:`, err.message);
     }
   }
+  return list;
+}
+
+function reloadProviders(cfg) {
+  providers = buildProviders(cfg);
+  reloadProfiles(cfg);
+}
+
+function reloadProfiles(cfg) {
+  profileRuntimes = {};
+  for (const name of Object.keys((cfg && cfg.profiles) || {})) {
+    const effective = configLoader.resolveProfile(cfg, name);
+    profileRuntimes[name] = { config: effective, providers: buildProviders(effective, ` (profile ${name})`) };
+  }
 }
 
 // initial load
@@ -46,88 +60,326 @@ reloadProviders(config);
 const app = express();
 const port = process.env.PORT || 4000;
 app.use(cors());
+// Behind a reverse proxy set TRUST_PROXY (e.g. "1" or "loopback") so failed-login limits see client IPs
+if (process.env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+
+const { AuthGuard, hashSecret, redactConfig, credentialFrom } = require('../lib/auth');
+const authGuard = new AuthGuard(() => config);
+const checkSearchKey = authGuard.requireSearchKey();
+
+const { createLimiter, runWithTimeout, TimeoutError } = require('../lib/scheduler');
+const { MetadataCache, providerTtl } = require('../lib/cache');
+const { scoreMatch } = require('../lib/scoring');
+const { identifierQuery, identifierOf } = require('../lib/identifiers');
+const { clusterResults } = require('../lib/cluster');
+const { applyDescriptionTemplate } = require('../lib/description');
+const { serializeContributors, namesOf } = require('../lib/contributors');
+const { LANGUAGE_STYLES, DEFAULT_LANGUAGE_STYLE, twoLetterCode, languagesOf, formatLanguage } = require('../lib/languages');
+const { FORMATS, AUDIO_FORMATS, DEFAULT_FORMAT_PREFERENCE, formatOf, parseFormats } = require('../lib/formats');
+const { HealthMonitor, healthSettings } = require('../lib/health');
+const { getRules, listRules, reloadRules } = require('../lib/rules');
+
+// Search snippets and full metadata survive restarts in <config volume>/data/cache.json
+const metadataCache = new MetadataCache({ enabled: !(config.global && config.global.cacheEnabled === false) });
+
+// Canary searches (providers.<name>.health.canaries) every global.healthCheckIntervalMin minutes;
+// history survives restarts in <config volume>/data/health.json
+const healthMonitor = new HealthMonitor();
+const HEALTH_STARTUP_DELAY_MS = 60000;
+let healthTimer = null;
+const healthIntervalMin = () => (config.global && typeof config.global.healthCheckIntervalMin === 'number' ? config.global.healthCheckIntervalMin : 60);
+const runHealthChecks = (only) => healthMonitor.checkAll(providers, config, only)
+  .catch(err => console.error('[health] canary run failed:', err && err.message ? err.message : err));
+
+function scheduleHealthChecks() {
+  if (healthTimer) clearInterval(healthTimer);
+  healthTimer = null;
+  const minutes = healthIntervalMin();
+  if (!(minutes > 0)) return;
+  healthTimer = setInterval(() => runHealthChecks(), minutes * 60000);
+  healthTimer.unref();
+}
 
-const stringSimilarity = require('string-similarity');
+// Providers whose canaries fail or come back without expected fields are flagged in `providers`
+function withHealth(status) {
+  const health = healthMonitor.status(status.provider);
+  return health === 'down' || health === 'degraded' ? { ...status, degraded: true, health } : status;
+}
 
-app.get('/search', async (req, res) => {
-  const q = req.query.query;
-  const author = req.query.author;
-  if (!q) return res.status(400).json({ error: 'query required' });
+// ?languageFilter= values; results in another language than the requested one are kept,
+// dropped or sorted after the others
+const LANGUAGE_FILTERS = ['off', 'drop', 'demote'];
+
+// Output-edge normalization shared by /search and /item: contributors serialized to the
+// author/narrator strings, languages in global.languageStyle, `type` as one of FORMATS, subtitle
+// and the flat published fields older Audiobookshelf importers look for
+function finalizeResults(fullResults, globalCfg = {}) {
+  for (const it of fullResults) if (it) serializeContributors(it);
+  const languageStyle = LANGUAGE_STYLES.includes(globalCfg.languageStyle) ? globalCfg.languageStyle : DEFAULT_LANGUAGE_STYLE;
+  for (const it of fullResults) {
+    it.languages = [...new Set(languagesOf(it).map(code => formatLanguage(code, languageStyle)))];
+    it.language = it.languages[0];
+    if (it.type) it.type = formatOf(it.type) || it.type;
+  }
+  // Ensure subtitle exists where possible by looking into identifiers
+  // NOTE: avoid using provider `source.description` as a fallback for `publisher` —
+  // that often contains the provider/site name (Lubimyczytac, Audioteka) rather
+  // than the actual publishing company. Providers should supply `publisher`.
+  for (const it of fullResults) {
+    if ((!it.subtitle || it.subtitle === '') && it.identifiers && it.identifiers.title) {
+      it.subtitle = it.identifiers.title;
+    }
+    // do not auto-fill `publisher` from provider site description
+  }
+
+  // Compatibility: some downstream consumers (older Audiobookshelf importers / plugins)
+  // expect a flat `published` or `published_date` field. Keep them populated so imports
+  // don't silently drop the year/date when they only look for these names.
+  for (const it of fullResults) {
+    // `published` - prefer explicit publishedYear (string), else derive from publishedDate
+    if (!it.published) {
+      if (it.publishedYear) it.published = it.publishedYear;
+      else if (it.publishedDate) {
+        try {
+          const y = new Date(it.publishedDate).getFullYear();
+          if (y && !Number.isNaN(y)) it.published = y.toString();
+        } catch (e) { /* ignore invalid dates */ }
+      }
+    }
+    // `published_date` - expose full ISO-like date if available
+    if (!it.published_date && it.publishedDate) it.published_date = it.publishedDate;
+  }
+}
 
-  const tasks = providers.map(async (p) => {
+// Whether a URL is one of the provider's own links, by the `urlPatterns` its class declares
+const ownsUrl = (p, url) => ((p.ProviderClass && p.ProviderClass.urlPatterns) || []).some(re => re.test(url));
+
+// Provider owning a URL
+function providerForUrl(list, url) {
+  return list.find(p => ownsUrl(p, url));
+}
+
+const looksLikeUrl = (value) => typeof value === 'string' && /^https?:\/\/\S+$/i.test(value.trim());
+
+/**
+ * Fetch one known provider item (by id or URL) and answer in the /search response shape.
+ * @param ref {{provider?: string, id?: string, url?: string, lang?: string}}
+ */
+async function handleItem(res, { config, providers }, ref) {
+  const url = ref.url ? ref.url.trim() : '';
+  const p = ref.provider ? providers.find(x => x.name === ref.provider) : providerForUrl(providers, url);
+  if (!p) {
+    const error = ref.provider ? `provider not enabled: ${ref.provider}` : `no enabled provider recognises ${url}`;
+    return res.status(ref.provider ? 404 : 400).json({ error });
+  }
+  // a named provider still only fetches its own links, never an arbitrary URL
+  if (url && !ownsUrl(p, url)) return res.status(400).json({ error: `not a ${p.name} link: ${url}` });
+  const snippet = typeof p.instance.itemSnippet === 'function'
+    ? p.instance.itemSnippet({ id: ref.id, url, lang: ref.lang })
+    : ((ref.id || url) ? { id: ref.id, url } : null);
+  if (!snippet) return res.status(400).json({ error: `provider ${p.name} cannot fetch this item; pass id or url` });
+
+  const providerCfg = (config.providers && config.providers[p.name]) || {};
+  const priority = typeof providerCfg.priority === 'number' ? providerCfg.priority : 0;
+  const tagged = { ...snippet, similarity: 1, _provider: p.name, _providerPriority: priority };
+  const status = { provider: p.name, item: snippet.id || snippet.url };
+  let full = metadataCache.getMetadata(p.name, tagged);
+  if (full) status.cached = true;
+  else {
     try {
-      // Pass provider configured language (if available) so providers like Storytel can use it
-      const providerLang = (config.providers && config.providers[p.name] && config.providers[p.name].language) || undefined;
-      const results = await p.instance.searchBooks(q, author, providerLang);
-      return { provider: p.name, matches: results.matches || [] };
+      const result = await runWithTimeout(
+        (signal) => p.instance.getFullMetadata(tagged, { signal }),
+        providerCfg.timeoutMs || 10000
+      );
+      // providers hand back the snippet itself when the detail fetch failed
+      if (result && result !== tagged && result.title) {
+        metadataCache.setMetadata(p.name, tagged, result, providerTtl(providerCfg).metadataTtlSec);
+        full = { similarity: 1, _provider: p.name, _providerPriority: priority, ...result };
+      }
     } catch (err) {
-      return { provider: p.name, error: String(err) };
+      if (err instanceof TimeoutError) status.timedOut = true;
+      status.error = err && err.message ? err.message : String(err);
     }
-  });
+  }
+  if (!full) {
+    console.warn(`[item] ${p.name} returned no metadata for ${snippet.url || snippet.id}`);
+    return res.status(status.timedOut ? 504 : 502).json({ providers: [withHealth({ ...status, error: status.error || 'no metadata' })], matches: [] });
+  }
+  const matches = [full];
+  finalizeResults(matches, config.global);
+  applyDescriptionTemplate(matches, config.global && config.global.descriptionTemplate);
+  res.json({ providers: [withHealth(status)], matches });
+}
+
+// `config` and `providers` are the base config or a profile's effective config and instances
+async function handleSearch(req, res, { config, providers }) {
+  const q = req.query.query;
+  const author = req.query.author;
+  // Optional per-request language: only providers whose class supports it take part,
+  // and they search that locale instead of their configured language.
+  const requestedLang = typeof req.query.lang === 'string' ? req.query.lang.trim().toLowerCase() : '';
+  // Optional ?region=pl,se (most preferred first): providers with regional catalogues (Storytel)
+  // search those regions, results from other regions are dropped and region order breaks ties
+  const requestedRegions = typeof req.query.region === 'string'
+    ? [...new Set(req.query.region.split(',').map(r => r.trim().toLowerCase()).filter(Boolean))]
+    : [];
+  // ?isbn= / ?asin=: providers that can resolve the identifier return exact matches, which skip
+  // the similarity threshold and rank above fuzzy title/author hits
+  const idQuery = identifierQuery(req.query);
+  if (idQuery && !idQuery.value) return res.status(400).json({ error: `invalid ${idQuery.type}: ${idQuery.raw}` });
+  // ?languageFilter=drop|demote (default global.languageFilter) applies to results whose language
+  // is known and is not the requested one (?lang=, else global.contentLanguage, else the language
+  // configured for the result's provider)
+  const languageFilter = req.query.languageFilter || (config.global && config.global.languageFilter) || 'off';
+  if (!LANGUAGE_FILTERS.includes(languageFilter)) return res.status(400).json({ error: `invalid languageFilter: ${languageFilter}` });
+  const contentLanguage = twoLetterCode(requestedLang || (config.global && config.global.contentLanguage));
+  // ?format=audiobook,radio-drama (default global.formats) keeps results in those formats
+  const formatQuery = parseFormats(req.query.format !== undefined ? req.query.format : (config.global && config.global.formats));
+  if (formatQuery.invalid.length) return res.status(400).json({ error: `invalid format: ${formatQuery.invalid.join(',')} (one of ${FORMATS.join(', ')})` });
+  if (!q && !idQuery) return res.status(400).json({ error: 'query, isbn or asin required' });
+  // A provider link pasted as the query is fetched directly instead of searched for
+  if (!idQuery && looksLikeUrl(q) && providerForUrl(providers, q.trim())) {
+    return handleItem(res, { config, providers }, { url: q, lang: requestedLang });
+  }
+
+  const supportsLang = (p) => {
+    const supported = (p.ProviderClass && p.ProviderClass.supportedLanguages) || [];
+    // providers that do not declare languages are assumed to handle any
+    return !supported.length || supported.includes(requestedLang);
+  };
+  const langProviders = requestedLang ? providers.filter(supportsLang) : providers;
+  if (requestedLang && !langProviders.length) {
+    return res.status(400).json({ error: `no enabled provider supports lang=${requestedLang}` });
+  }
+  // enrichment providers only contribute to merged results; without mergeBestResults they are not searched
+  const mergeResults = !!(config.global && config.global.mergeBestResults);
+  const activeProviders = mergeResults ? langProviders : langProviders.filter(p => p.role !== 'enrichment');
+  const skipped = providers.filter(p => !activeProviders.includes(p))
+    .map(p => ({ provider: p.name, skipped: langProviders.includes(p) ? 'enrichment' : 'lang' }));
+  const providerLanguage = (name) => twoLetterCode(config.providers && config.providers[name] && config.providers[name].language);
+  if (languageFilter !== 'off' && !contentLanguage && !activeProviders.some(p => providerLanguage(p.name))) {
+    return res.status(400).json({ error: `languageFilter=${languageFilter} needs lang, global.contentLanguage or a provider language` });
+  }
+  const resolvesIdentifier = (p) => !!idQuery
+    && ((p.ProviderClass && p.ProviderClass.identifierTypes) || []).includes(idQuery.type)
+    && typeof p.instance.searchByIdentifier === 'function';
+  const idProviders = activeProviders.filter(resolvesIdentifier);
+  // without a title query, providers that cannot resolve the identifier have nothing to do
+  if (!q) {
+    for (const p of activeProviders) if (!idProviders.includes(p)) skipped.push({ provider: p.name, skipped: 'identifier' });
+  }
+
+  // Providers run through a shared limiter (global.maxProvidersParallel) and each
+  // phase (search, detail fetches) is cancelled once the provider's timeoutMs runs out.
+  const maxParallel = (config.global && typeof config.global.maxProvidersParallel === 'number') ? config.global.maxProvidersParallel : 5;
+  const runLimited = createLimiter(maxParallel);
+  const timedOutProviders = new Set();
+  const providerTimeout = (name) => (config.providers && config.providers[name] && config.providers[name].timeoutMs) || 10000;
+
+  // One search task per provider; `identifier` runs searchByIdentifier instead of searchBooks
+  const searchTask = (p, identifier) => {
+    // Pass the requested (or provider configured) language so providers like Storytel can use it
+    const providerLang = requestedLang || (config.providers && config.providers[p.name] && config.providers[p.name].language) || undefined;
+    const ttl = providerTtl(config.providers && config.providers[p.name]);
+    // identifier lookups are cached under "<type>:<value>" so they never collide with title searches
+    const cacheQuery = identifier ? `${identifier.type}:${identifier.value}` : q;
+    const cacheAuthor = identifier ? '' : author;
+    const cacheLang = requestedRegions.length ? `${providerLang || ''}@${requestedRegions.join(',')}` : providerLang;
+    const status = identifier ? { provider: p.name, identifier: identifier.type } : { provider: p.name };
+    const cachedMatches = metadataCache.getSearch(p.name, cacheQuery, cacheAuthor, cacheLang);
+    if (cachedMatches) return Promise.resolve({ ...status, matches: cachedMatches, cached: true });
+
+    const searchOptions = (signal) => (requestedRegions.length ? { signal, regions: requestedRegions } : { signal });
+    return runLimited(async () => {
+      try {
+        const results = await runWithTimeout(
+          (signal) => (identifier
+            ? p.instance.searchByIdentifier(identifier.type, identifier.value, providerLang, searchOptions(signal))
+            : p.instance.searchBooks(q, author, providerLang, searchOptions(signal))),
+          providerTimeout(p.name)
+        );
+        const matches = (results && results.matches) || [];
+        // providers swallow upstream errors and return no matches; never cache those
+        if (matches.length) metadataCache.setSearch(p.name, cacheQuery, cacheAuthor, cacheLang, matches, ttl.searchTtlSec);
+        return { ...status, matches };
+      } catch (err) {
+        if (err instanceof TimeoutError) {
+          timedOutProviders.add(p.name);
+          console.warn(`[search] provider ${p.name} timed out during ${identifier ? 'identifier lookup' : 'search'} after ${err.timeoutMs}ms`);
+          return { ...status, timedOut: true, error: err.message };
+        }
+        return { ...status, error: String(err) };
+      }
+    });
+  };
+
+  const tasks = [
+    ...(q ? activeProviders.map(p => searchTask(p)) : []),
+    ...idProviders.map(p => searchTask(p, idQuery))
+  ];
 
   const all = await Promise.all(tasks);
-  // Flatten matches and tag with provider
+  // Flatten matches and tag with provider (and the identifier type for identifier lookups)
   const combined = all.reduce((acc, cur) => {
     if (cur.matches) {
       const providerCfg = (config.providers && config.providers[cur.provider]) || {};
       const priority = typeof providerCfg.priority === 'number' ? providerCfg.priority : 0;
-      const tagged = cur.matches.map(m => ({ ...m, _provider: cur.provider, _providerPriority: priority }));
+      const extra = cur.identifier ? { identifierMatch: cur.identifier } : {};
+      const entry = activeProviders.find(p => p.name === cur.provider);
+      if (entry && entry.role === 'enrichment') extra._role = 'enrichment';
+      const tagged = cur.matches.map(m => ({ ...m, ...extra, _provider: cur.provider, _providerPriority: priority }));
       return acc.concat(tagged);
     }
     return acc;
   }, []);
-
-  // Normalize authors field on snippets so scoring code can safely call toLowerCase()
-  for (const m of combined) {
-    if (Array.isArray(m.authors)) {
-      m.authors = m.authors.map(a => (typeof a === 'string' ? a.trim() : (a ? String(a).trim() : ''))).filter(Boolean);
-    } else if (m.author && typeof m.author === 'string') {
-      // split common separators
-      m.authors = m.author.split(/\s*(?:,|;| and )\s*/).map(s => s.trim()).filter(Boolean);
-    } else {
-      m.authors = [];
-    }
+  // A hit found both by identifier and by title is kept once, as the identifier match
+  const identifierRefs = new Set(combined.filter(m => m.identifierMatch).map(m => `${m._provider}:${m.id || m.url}`));
+  const deduped = combined.filter(m => m.identifierMatch || !identifierRefs.has(`${m._provider}:${m.id || m.url}`));
+
+  // Author names on every snippet so scoring code can safely call toLowerCase(); formats as FORMATS
+  for (const m of deduped) {
+    m.authors = namesOf(m, 'author');
+    if (m.type) m.type = formatOf(m.type) || m.type;
   }
 
   // Log provider snippet counts (minimal but informative)
   try {
     const providerSnippetCounts = {};
     for (const a of all) {
-      providerSnippetCounts[a.provider] = (a.matches && a.matches.length) || 0;
+      providerSnippetCounts[a.identifier ? `${a.provider}:${a.identifier}` : a.provider] = (a.matches && a.matches.length) || 0;
     }
     console.log('[search] provider snippets:', JSON.stringify(providerSnippetCounts));
   } catch (e) { /* ignore logging errors */ }
 
-  // Compute unified similarity for each match across all providers.
-  // Strategy: compare match.title to query (case-insensitive) for titleSimilarity.
-  // If author provided, compute best author similarity across match.authors and combine: 0.6*title + 0.4*author.
-  // Otherwise use titleSimilarity only. On tie, prefer audiobooks over books.
-  const cleanedQuery = q.trim().toLowerCase();
-  const cleanedAuthor = author ? author.trim().toLowerCase() : '';
+  // Compute unified similarity for each match across all providers (see src/lib/scoring.js):
+  // titles and authors are diacritic-folded and normalized, volume markers are ignored, subtitles
+  // and reordered author names still match. If an author was given, title and best author score
+  // are combined by titleWeight. Per-component scores are exposed as `scoreDetails`.
   const titleWeight = (config.global && typeof config.global.titleWeight === 'number') ? (config.global.titleWeight / 100) : 0.6; // fraction
-  const authorWeight = 1 - titleWeight;
 
-  const scored = combined.map(m => {
-    const title = (m.title || '').toString().toLowerCase();
-    const titleSimilarity = stringSimilarity.compareTwoStrings(title, cleanedQuery);
-
-    let combinedSimilarity = titleSimilarity;
-    if (cleanedAuthor && Array.isArray(m.authors) && m.authors.length) {
-      const bestAuthorSim = Math.max(...m.authors.map(a => stringSimilarity.compareTwoStrings((a||'').toLowerCase(), cleanedAuthor)));
-      combinedSimilarity = (titleSimilarity * titleWeight) + (bestAuthorSim * authorWeight);
-    }
-
-    return { ...m, similarity: combinedSimilarity };
+  const scored = deduped.map(m => {
+    // identifier matches are exact by definition
+    if (m.identifierMatch) return { ...m, similarity: 1, scoreDetails: { identifier: m.identifierMatch, combined: 1 } };
+    const { similarity, details } = scoreMatch(m, q, author, titleWeight);
+    return { ...m, similarity, scoreDetails: details };
   });
 
-  // Apply global allowBooks/allowAudiobooks filters from config
+  // Apply global allowBooks/allowAudiobooks filters from config and the requested formats; a result
+  // whose format is not known yet passes (details are checked again)
   const allowBooks = config.global && typeof config.global.allowBooks !== 'undefined' ? !!config.global.allowBooks : true;
   const allowAudiobooks = config.global && typeof config.global.allowAudiobooks !== 'undefined' ? !!config.global.allowAudiobooks : true;
-
-  const filtered = scored.filter(m => {
-    const isAudio = (m.type === 'audiobook' || (m.format && m.format === 'audiobook')) ? true : false;
+  const formatAllowed = (m) => {
+    if (!FORMATS.includes(m.type)) return true;
+    const isAudio = AUDIO_FORMATS.includes(m.type);
     if (isAudio && !allowAudiobooks) return false;
     if (!isAudio && !allowBooks) return false;
+    return !formatQuery.formats.length || formatQuery.formats.includes(m.type);
+  };
+
+  const filtered = scored.filter(m => {
+    if (!formatAllowed(m)) return false;
+    // ?region= filters results that carry a region; results of providers without regions stay
+    if (requestedRegions.length && m.region && !requestedRegions.includes(m.region)) return false;
     return true;
   });
 
@@ -148,15 +400,16 @@ app.get('/search', async (req, res) => {
   for (const [providerName, matches] of Object.entries(byProviderAll)) {
     const providerCfg = (config.providers && config.providers[providerName]) || {};
     const max = typeof providerCfg.maxResults === 'number' ? providerCfg.maxResults : 0;
-    let sorted = matches.slice().sort((a, b) => (b.similarity || 0) - (a.similarity || 0));
+    // identifier matches are not subject to the cap
+    let sorted = matches.filter(m => !m.identifierMatch).sort((a, b) => (b.similarity || 0) - (a.similarity || 0));
     if (max > 0) sorted = sorted.slice(0, max);
-    cappedByProvider[providerName] = sorted;
+    cappedByProvider[providerName] = [...matches.filter(m => m.identifierMatch), ...sorted];
   }
 
   const capped = Object.values(cappedByProvider).flat();
 
-  // Candidates above threshold (after per-provider capping)
-  const candidates = capped.filter(m => (typeof m.similarity === 'number') ? (m.similarity >= threshold) : false);
+  // Candidates above threshold (after per-provider capping); identifier matches skip the threshold
+  const candidates = capped.filter(m => m.identifierMatch || ((typeof m.similarity === 'number') ? (m.similarity >= threshold) : false));
 
   // Group by provider name for metadata fetching
   const byProvider = candidates.reduce((acc, m) => {
@@ -177,473 +430,404 @@ app.get('/search', async (req, res) => {
   } catch (e) { /* ignore logging errors */ }
 
   // For each provider, fetch full metadata for its candidates
-  const fullFetchPromises = Object.entries(byProvider).map(async ([providerName, matches]) => {
-    const providerObj = providers.find(p => p.name === providerName);
+  const fullFetchPromises = Object.entries(byProvider).map(([providerName, matches]) => runLimited(async () => {
+    const providerObj = activeProviders.find(p => p.name === providerName);
     if (!providerObj) return [];
     const inst = providerObj.instance;
-    // If provider exposes mapWithConcurrency, use it for parallel metadata fetches
     const limit = (config.providers && config.providers[providerName] && config.providers[providerName].concurrency) || 5;
-    const toFetch = matches.filter(m => !m._fullFetched);
+    const ttl = providerTtl(config.providers && config.providers[providerName]);
+    const alreadyFull = matches.filter(m => m._fullFetched);
+    const toFetch = [];
+    for (const m of matches.filter(m => !m._fullFetched)) {
+      const cached = metadataCache.getMetadata(providerName, m);
+      if (cached) alreadyFull.push(cached);
+      else toFetch.push(m);
+    }
+    // Collected as each fetch completes so a timeout still keeps what finished in time
+    const fetched = [];
 
-    // If provider exposes mapWithConcurrency, use it for parallel metadata fetches
-    if (typeof inst.mapWithConcurrency === 'function') {
+    const fetchOne = async (match, signal) => {
       try {
-        const results = await inst.mapWithConcurrency(toFetch, async (match) => {
-          try {
-            if (typeof inst.getFullMetadata === 'function') {
-              return await inst.getFullMetadata(match);
-            }
-            return match;
-          } catch (err) {
-            console.error(`Error fetching metadata for provider ${providerName}:`, err && err.message ? err.message : err);
-            return null;
-          }
-        }, limit);
-        // Merge fetched results back with matches that were already full
-        const fetched = results.filter(Boolean);
-        const alreadyFull = matches.filter(m => m._fullFetched);
-        return [...alreadyFull, ...fetched];
+        const result = typeof inst.getFullMetadata === 'function' ? await inst.getFullMetadata(match, { signal }) : match;
+        if (!result || signal.aborted) return result;
+        // providers hand back the snippet itself when the detail fetch failed; only cache real details
+        if (result !== match) metadataCache.setMetadata(providerName, match, result, ttl.metadataTtlSec);
+        // some providers (Storytel) build a fresh object; keep the snippet's scoring fields on it
+        const full = { similarity: match.similarity, scoreDetails: match.scoreDetails, identifierMatch: match.identifierMatch, _provider: match._provider, _providerPriority: match._providerPriority, ...result };
+        if (!full.identifierMatch) delete full.identifierMatch;
+        if (match.region) full.region = match.region;
+        fetched.push(full);
+        return full;
       } catch (err) {
-        console.error(`Error in mapWithConcurrency for provider ${providerName}:`, err && err.message ? err.message : err);
-        return matches;
+        console.error(`Error fetching metadata for provider ${providerName}:`, err && err.message ? err.message : err);
+        return null;
       }
-    }
+    };
 
-    // Fallback: sequential fetches for the ones that need fetching
-    const out = [];
-    // include already-full items first
-    for (const m of matches.filter(m => m._fullFetched)) out.push(m);
-    for (const match of toFetch) {
-      try {
-        if (typeof inst.getFullMetadata === 'function') {
-          const full = await inst.getFullMetadata(match);
-          if (full) out.push(full);
-        } else {
-          out.push(match);
+    try {
+      await runWithTimeout(async (signal) => {
+        // If provider exposes mapWithConcurrency, use it for parallel metadata fetches
+        if (typeof inst.mapWithConcurrency === 'function') {
+          await inst.mapWithConcurrency(toFetch, (match) => fetchOne(match, signal), limit);
+          return;
         }
-      } catch (err) {
+        // Fallback: sequential fetches for the ones that need fetching
+        for (const match of toFetch) {
+          if (signal.aborted) return;
+          await fetchOne(match, signal);
+        }
+      }, providerTimeout(providerName));
+    } catch (err) {
+      if (err instanceof TimeoutError) {
+        timedOutProviders.add(providerName);
+        console.warn(`[search] provider ${providerName} timed out during detail fetches after ${err.timeoutMs}ms (${fetched.length}/${toFetch.length} fetched)`);
+      } else {
         console.error(`Error fetching metadata for provider ${providerName}:`, err && err.message ? err.message : err);
       }
     }
-    return out;
-  });
+    return [...alreadyFull, ...fetched];
+  }));
 
   const nested = await Promise.all(fullFetchPromises);
-  const fullResults = nested.flat();
+  // Languages are only known from the details; results without one are never filtered
+  const otherLanguage = (m) => {
+    const target = contentLanguage || providerLanguage(m._provider);
+    const codes = languagesOf(m);
+    return !!target && codes.length > 0 && !codes.includes(target);
+  };
+  // Search by identifier is fuzzy on some sites (ISBN as a phrase): hits whose details carry a different
+  // identifier are dropped, and hits whose details carry none are scored like any other result (or
+  // dropped when there is no title query to score them against)
+  for (const it of nested.flat()) if (it && it.type) it.type = formatOf(it.type) || it.type;
+  const fullResults = nested.flat().map(it => {
+    if (!it || !it.identifierMatch) return it;
+    const found = identifierOf(it, idQuery.type);
+    if (found === idQuery.value) return it;
+    if (found || !q) return null;
+    const { similarity, details } = scoreMatch(it, q, author, titleWeight);
+    const { identifierMatch, ...rest } = it;
+    return similarity >= threshold ? { ...rest, similarity, scoreDetails: details } : null;
+  }).filter(it => it && formatAllowed(it) && (languageFilter !== 'drop' || !otherLanguage(it)));
+
+  // Position of a result's region in the requested regions, or else in its provider's preferredRegions
+  const regionRank = (m) => {
+    const providerExtra = (config.providers && config.providers[m._provider] && config.providers[m._provider].extra) || {};
+    const order = requestedRegions.length ? requestedRegions : (providerExtra.preferredRegions || []);
+    const i = order.indexOf(m.region);
+    return i < 0 ? order.length : i;
+  };
+
+  // Position of a result's format in global.formatPreference (formats it leaves out come last)
+  const formatPreference = parseFormats(config.global && config.global.formatPreference).formats;
+  const formatOrder = formatPreference.length ? formatPreference : DEFAULT_FORMAT_PREFERENCE;
+  const formatRank = (m) => {
+    const i = formatOrder.indexOf(m.type);
+    return i < 0 ? formatOrder.length : i;
+  };
 
-  // Sort final results same as before (similarity desc, audiobook preference, provider priority)
+  // Sort final results: identifier matches first, then the requested language (languageFilter=demote),
+  // similarity desc, region preference, format preference, provider priority
+  const demoted = (m) => languageFilter === 'demote' && otherLanguage(m);
   fullResults.sort((a, b) => {
+    if (!!b.identifierMatch !== !!a.identifierMatch) return b.identifierMatch ? 1 : -1;
+    if (demoted(a) !== demoted(b)) return demoted(a) ? 1 : -1;
     if (b.similarity !== a.similarity) return b.similarity - a.similarity;
-    const aIsAudio = (a.type === 'audiobook' || (a.format && a.format === 'audiobook')) ? 1 : 0;
-    const bIsAudio = (b.type === 'audiobook' || (b.format && b.format === 'audiobook')) ? 1 : 0;
-    if (bIsAudio !== aIsAudio) return bIsAudio - aIsAudio;
+    if (a.region && b.region && regionRank(a) !== regionRank(b)) return regionRank(a) - regionRank(b);
+    if (formatRank(a) !== formatRank(b)) return formatRank(a) - formatRank(b);
     const aPriority = typeof a._providerPriority === 'number' ? a._providerPriority : 0;
     const bPriority = typeof b._providerPriority === 'number' ? b._providerPriority : 0;
     return bPriority - aPriority;
   });
 
-  // Optionally create a merged "best result" at the top that combines fields from top-equal items
-  try {
-    const mergeEnabled = config.global && !!config.global.mergeBestResults;
-    if (mergeEnabled && fullResults && fullResults.length) {
-      // find top similarity value
-      const topSim = fullResults[0].similarity || 0;
-      // allow tiny epsilon
-      const EPS = 1e-6;
-      const topGroup = fullResults.filter(fr => Math.abs((fr.similarity || 0) - topSim) <= EPS);
-      if (topGroup.length > 1) {
-        // Prefer items with higher provider priority and more metadata when selecting fields
-        const countNonEmpty = (item) => {
-          const fields = ['title','authors','narrator','description','cover','type','url','id','languages','publisher','publishedDate','series','genres','tags','identifiers'];
-          let c = 0;
-          for (const f of fields) if (item[f]) c++;
-          return c;
-        };
-
-        const sortedGroup = topGroup.slice().sort((a, b) => {
-          const pa = typeof a._providerPriority === 'number' ? a._providerPriority : 0;
-          const pb = typeof b._providerPriority === 'number' ? b._providerPriority : 0;
-          if (pb !== pa) return pb - pa;
-          return countNonEmpty(b) - countNonEmpty(a);
-        });
-
-        const prefs = (config.global && config.global.mergePreferences) || {};
-
-        const hasField = (item, field) => {
-          if (!item) return false;
-          if (field === 'language') return Array.isArray(item.languages) && item.languages.length;
-          if (field === 'identifiers') return item.identifiers && Object.keys(item.identifiers).length > 0;
-          const v = item[field];
-          if (Array.isArray(v)) return v.length > 0;
-          return (typeof v !== 'undefined' && v !== null && v !== '');
-        };
-
-        const getFieldValue = (item, field) => {
-          if (!item) return undefined;
-          if (field === 'language') return Array.isArray(item.languages) && item.languages.length ? item.languages[0] : undefined;
-          return item[field];
-        };
-
-        const pickFieldAndSource = (field) => {
-          const preferred = prefs && prefs[field];
-          if (preferred) {
-            const p = sortedGroup.find(i => i._provider === preferred && hasField(i, field));
-            if (p) return { value: getFieldValue(p, field), source: preferred };
-          }
-          const contributor = sortedGroup.find(i => hasField(i, field));
-          if (contributor) return { value: getFieldValue(contributor, field), source: contributor._provider };
-          return { value: undefined, source: null };
-        };
-
-        const pickIdentifierAndSource = (key) => {
-          const preferred = prefs && prefs['identifiers'];
-          if (preferred) {
-            const p = sortedGroup.find(i => i._provider === preferred && i.identifiers && i.identifiers[key]);
-            if (p) return { value: p.identifiers[key], source: preferred };
-          }
-          for (const it of sortedGroup) {
-            if (it.identifiers && it.identifiers[key]) return { value: it.identifiers[key], source: it._provider };
-          }
-          return { value: undefined, source: null };
-        };
-
-        const pickPublishedYearAndSource = () => {
-          const preferred = prefs && prefs['publishedYear'];
-          if (preferred) {
-            const p = sortedGroup.find(i => i._provider === preferred && i.publishedDate);
-            if (p) return { value: (new Date(p.publishedDate).getFullYear() || '').toString(), source: preferred };
-          }
-          for (const it of sortedGroup) {
-            if (it.publishedDate) {
-              const y = new Date(it.publishedDate).getFullYear();
-              if (y) return { value: y.toString(), source: it._provider };
-            }
-          }
-          return { value: undefined, source: null };
-        };
-
-        const pickLanguageAndSource = () => {
-          const preferred = prefs && prefs['language'];
-          if (preferred) {
-            const p = sortedGroup.find(i => i._provider === preferred && Array.isArray(i.languages) && i.languages.length);
-            if (p) return { value: p.languages[0], source: preferred };
-          }
-          for (const it of sortedGroup) {
-            if (Array.isArray(it.languages) && it.languages.length) return { value: it.languages[0], source: it._provider };
-          }
-          return { value: undefined, source: null };
-        };
-
-        // pick cover using preference and record source
-        const coverPick = pickFieldAndSource('cover');
-        let coverValue = coverPick.value;
-        let coverSource = coverPick.source;
-        // prefer audiobook cover if preferred didn't yield
-        if (!coverValue) {
-          const audioCandidate = sortedGroup.find(i => (i.type === 'audiobook' || (i.format && i.format === 'audiobook')) && i.cover);
-          if (audioCandidate) {
-            coverValue = audioCandidate.cover;
-            coverSource = audioCandidate._provider;
-          }
-        }
-
-        // merged object: copy many common fields, merging arrays/identifiers
-        const merged = {};
-        const titlePick = pickFieldAndSource('title'); merged.title = titlePick.value || '';
-        const subtitlePick = pickFieldAndSource('subtitle'); merged.subtitle = subtitlePick.value || '';
-        const authorsPick = pickFieldAndSource('authors'); merged.authors = authorsPick.value || [];
-        const narratorPick = pickFieldAndSource('narrator'); merged.narrator = narratorPick.value || '';
-        const descriptionPick = pickFieldAndSource('description'); merged.description = descriptionPick.value || '';
-        merged.cover = coverValue || null;
-        merged.type = (pickFieldAndSource('type').value) || (topGroup.some(i => i.type === 'audiobook') ? 'audiobook' : 'book');
-        merged.similarity = topSim;
-
-        // URL/id/source
-  merged.id = (pickFieldAndSource('id').value) || pickIdentifierAndSource('lubimyczytac').value || pickIdentifierAndSource('audioteka').value || '';
-  merged.url = (pickFieldAndSource('url').value) || '';
-  merged.source = pickFieldAndSource('source').value || null;
-
-        // languages: union
-        const langs = new Set();
-        for (const it of sortedGroup) {
-          if (Array.isArray(it.languages)) for (const L of it.languages) langs.add(L);
-        }
-        merged.languages = Array.from(langs);
-
-  // publishedDate: prefer any provider that supplies a full ISO-like publishedDate
-  const pickPublishedDate = () => {
-    const preferred = prefs && prefs['publishedDate'];
-    if (preferred) {
-      const p = sortedGroup.find(i => i._provider === preferred && i.publishedDate);
-      if (p) return { value: p.publishedDate, source: preferred };
-    }
-    for (const it of sortedGroup) {
-      if (it.publishedDate) return { value: it.publishedDate, source: it._provider };
+  // Optionally group results describing the same book (shared ISBN, title + author, series position)
+  // and return each group as one merged result with the provider items as `alternatives`
+  let results = fullResults;
+  if (mergeResults) {
+    try {
+      results = clusterResults(fullResults, {
+        preferences: config.global.mergePreferences,
+        debug: !!config.global.mergeDebug
+      });
+    } catch (err) {
+      console.error('Error during mergeBestResults:', err && err.message ? err.message : err);
     }
-    // no publishedDate found
-    return { value: undefined, source: null };
-  };
+  }
+  // enrichment providers only contribute to merged results; alone they would crowd the list
+  results = results.filter(r => r._role !== 'enrichment');
 
-  const pubDatePick = pickPublishedDate();
-  merged.publishedDate = pubDatePick.value || undefined;
-
-  // publishedYear: derive from publishedDate if present, otherwise fall back to any publishedYear field
-  const pickPublishedYear = () => {
-    // prefer explicit preference
-    const preferred = prefs && prefs['publishedYear'];
-    if (preferred) {
-      const p = sortedGroup.find(i => i._provider === preferred && (i.publishedDate || i.publishedYear));
-      if (p) {
-        if (p.publishedDate) return { value: (new Date(p.publishedDate).getFullYear() || '').toString(), source: preferred };
-        if (p.publishedYear) return { value: (p.publishedYear || '').toString(), source: preferred };
-      }
-    }
-    // derive from any publishedDate first
-    for (const it of sortedGroup) {
-      if (it.publishedDate) {
-        const y = new Date(it.publishedDate).getFullYear();
-        if (y) return { value: y.toString(), source: it._provider };
-      }
-    }
-    // fallback: any explicit publishedYear field
-    for (const it of sortedGroup) {
-      if (it.publishedYear) return { value: (it.publishedYear || '').toString(), source: it._provider };
-    }
-    return { value: undefined, source: null };
-  };
+  finalizeResults(results, config.global);
+  for (const r of results) if (r.alternatives) finalizeResults(r.alternatives, config.global);
+  applyDescriptionTemplate(results, config.global && config.global.descriptionTemplate);
 
-  const pubYearPick = pickPublishedYear();
-  merged.publishedYear = pubYearPick.value || undefined;
-  // record provenance
-  merged._mergedFieldSources = merged._mergedFieldSources || {};
-  if (pubDatePick.source) merged._mergedFieldSources.publishedDate = pubDatePick.source;
-  if (pubYearPick.source) merged._mergedFieldSources.publishedYear = pubYearPick.source;
-  merged.publisher = pickFieldAndSource('publisher').value || '';
-  merged.rating = pickFieldAndSource('rating').value || null;
-        // series: respect preference, else gather from any provider (string or array), prefer first non-empty
-        const seriesPref = prefs && prefs['series'];
-        let chosenSeries = '';
-        let seriesIndex = null;
-        if (seriesPref) {
-          const p = sortedGroup.find(i => i._provider === seriesPref && (i.series || (Array.isArray(i.series) && i.series.length)));
-          if (p) {
-            if (Array.isArray(p.series)) chosenSeries = p.series[0];
-            else chosenSeries = p.series || '';
-            seriesIndex = typeof p.seriesIndex !== 'undefined' ? p.seriesIndex : null;
-          }
-        }
-        if (!chosenSeries) {
-          const seriesSet = new Set();
-          for (const it of sortedGroup) {
-            if (Array.isArray(it.series)) for (const s of it.series) if (s) seriesSet.add(s);
-            else if (it.series) seriesSet.add(it.series);
-            if (!seriesIndex && (typeof it.seriesIndex !== 'undefined' && it.seriesIndex !== null)) seriesIndex = it.seriesIndex;
-          }
-          const seriesArr = Array.from(seriesSet);
-          chosenSeries = seriesArr.length ? seriesArr[0] : '';
-        }
-        // Provide series in the same shape provider wrappers use (array of { series, sequence })
-        // This is what Audiobookshelf expects when importing series information.
-        if (chosenSeries) {
-          merged.series = [{ series: chosenSeries, sequence: (seriesIndex !== null && typeof seriesIndex !== 'undefined') ? String(seriesIndex) : undefined }];
-        } else {
-          merged.series = undefined;
-        }
-        // keep legacy seriesIndex field for compatibility
-        merged.seriesIndex = (typeof seriesIndex !== 'undefined' && seriesIndex !== null) ? seriesIndex : null;
-
-  const isbnPick = pickIdentifierAndSource('isbn'); merged.isbn = isbnPick.value || undefined;
-  const asinPick = pickIdentifierAndSource('asin'); merged.asin = asinPick.value || undefined;
-  const durationPick = pickFieldAndSource('duration'); merged.duration = durationPick.value || undefined;
-  merged.url = merged.url || '';
-  const languagePick = pickLanguageAndSource(); merged.language = languagePick.value || undefined;
-
-        // genres/tags: respect preference, else union and normalize/dedupe
-        const normalize = (s) => (s || '').toString().trim().toLowerCase();
-        const pickListPrefOrUnion = (field) => {
-          const preferredProvider = prefs && prefs[field];
-          if (preferredProvider) {
-            const p = sortedGroup.find(i => i._provider === preferredProvider && Array.isArray(i[field]) && i[field].length);
-            if (p) return p[field].slice();
-          }
-          const set = new Set();
-          for (const it of sortedGroup) {
-            if (Array.isArray(it[field])) for (const v of it[field]) {
-              const n = normalize(v);
-              if (n) set.add(n);
-            }
-          }
-          return Array.from(set);
-        };
-
-  merged.genres = pickListPrefOrUnion('genres');
-  merged.tags = pickListPrefOrUnion('tags');
-
-        // record provenance for these merged lists
-        merged._mergedFieldSources = merged._mergedFieldSources || {};
-  merged._mergedFieldSources.genres = (prefs && prefs['genres']) ? prefs['genres'] : Array.from(new Set(sortedGroup.filter(i=> (i.genres && i.genres.length) || (typeof i.genres === 'string' && i.genres)).map(i=>i._provider)));
-  merged._mergedFieldSources.tags = (prefs && prefs['tags']) ? prefs['tags'] : Array.from(new Set(sortedGroup.filter(i=> (i.tags && i.tags.length) || (typeof i.tags === 'string' && i.tags)).map(i=>i._provider)));
-  merged._mergedFieldSources.series = (prefs && prefs['series']) ? prefs['series'] : Array.from(new Set(sortedGroup.filter(i=> (i.series && (Array.isArray(i.series) ? i.series.length : !!i.series))).map(i=>i._provider)));
-
-        // identifiers: merge keys preferring earlier providers
-        const identifiers = {};
-        for (const it of sortedGroup) {
-          if (it.identifiers && typeof it.identifiers === 'object') {
-            for (const [k, v] of Object.entries(it.identifiers)) {
-              if (!identifiers[k] && v) identifiers[k] = v;
-            }
-          }
-        }
-        merged.identifiers = identifiers;
-
-        merged._mergedFrom = topGroup.map(i => ({ provider: i._provider, id: i.id || i._id || null }));
-        // provenance for specific single-valued fields
-        merged._mergedFieldSources = merged._mergedFieldSources || {};
-        const singleFields = ['narrator','publisher','language','subtitle','duration','url','source'];
-        for (const f of singleFields) {
-          const pref = prefs && prefs[f];
-          if (pref) {
-            const p = sortedGroup.find(i => i._provider === pref && (i[f] || (f==='language' && i.languages && i.languages.length)));
-            if (p) merged._mergedFieldSources[f] = pref;
-            else {
-              const contributor = sortedGroup.find(i => i[f] || (f==='language' && i.languages && i.languages.length));
-              if (contributor) merged._mergedFieldSources[f] = contributor._provider;
-            }
-          } else {
-            const contributor = sortedGroup.find(i => i[f] || (f==='language' && i.languages && i.languages.length));
-            if (contributor) merged._mergedFieldSources[f] = contributor._provider;
-          }
-        }
-        // optional debug logging
-        if (config.global && config.global.mergeDebug) {
-          try {
-            console.log('mergeBestResults topGroup providers:', topGroup.map(t => ({ provider: t._provider, priority: t._providerPriority, fields: Object.keys(t).filter(k=>!!t[k]) })));
-            console.log('mergeBestResults merged:', merged);
-          } catch (e) { /* ignore logging errors */ }
-        }
-        // concise provenance log for regular ops (always useful)
-        try {
-          if (merged && merged._mergedFieldSources) {
-            console.log('[merge] merged from providers:', Array.from(new Set(topGroup.map(i=>i._provider))).join(','), 'fieldSources=', JSON.stringify(merged._mergedFieldSources));
-          } else {
-            console.log('[merge] merged from providers:', Array.from(new Set(topGroup.map(i=>i._provider))).join(','));
-          }
-        } catch (e) { /* ignore logging errors */ }
-  // mark this synthetic result so frontends can easily identify it
-  merged._provider = 'merged';
-  // give merged a priority slightly above the highest provider in the group
-  merged._providerPriority = (Math.max(...topGroup.map(i => (typeof i._providerPriority === 'number' ? i._providerPriority : 0))) || 0) + 1;
-  merged.source = merged.source || { id: 'merged', description: 'Merged result' };
-
-        // Insert merged at the top if it is not redundant with the existing top item.
-        const top = fullResults[0];
-        const sameTitleAuthors = top.title === merged.title && top.authors && merged.authors && top.authors.join('|') === merged.authors.join('|');
-        const mergedFields = ['narrator', 'description', 'cover', 'languages', 'identifiers', 'genres', 'tags'];
-        const topHasAllMergedFields = mergedFields.every(f => {
-          if (!merged[f] || (Array.isArray(merged[f]) && merged[f].length === 0)) return true; // merged doesn't have it, ignore
-          if (Array.isArray(merged[f])) return Array.isArray(top[f]) && top[f].length > 0;
-          if (f === 'identifiers') return top[f] && Object.keys(top[f]).length > 0;
-          return !!top[f]; // merged has it -> top must also have it
-        });
-        if (!(sameTitleAuthors && topHasAllMergedFields)) {
-          fullResults.unshift(merged);
-        }
-      }
-    }
-  } catch (err) {
-    console.error('Error during mergeBestResults:', err && err.message ? err.message : err);
+  const providerStatus = all.map(a => (timedOutProviders.has(a.provider) ? { ...a, timedOut: true } : a)).map(withHealth).concat(skipped);
+  res.json({ providers: providerStatus, matches: results });
+}
+
+app.get('/search', checkSearchKey, (req, res) => handleSearch(req, res, { config, providers }));
+
+// Direct fetch of one provider item: /item?provider=audioteka&url=... or &id=...; provider may be
+// omitted for URLs, which are matched against each provider's urlPatterns
+const itemRef = (req) => ({
+  provider: req.query.provider,
+  id: req.query.id,
+  url: req.query.url,
+  lang: typeof req.query.lang === 'string' ? req.query.lang.trim().toLowerCase() : ''
+});
+const rejectItemRef = (ref, res) => {
+  if (ref.id || ref.url) return false;
+  res.status(400).json({ error: 'id or url required' });
+  return true;
+};
+
+app.get('/item', checkSearchKey, (req, res) => {
+  const ref = itemRef(req);
+  if (rejectItemRef(ref, res)) return;
+  return handleItem(res, { config, providers }, ref);
+});
+
+// Profile endpoints: point an ABS custom provider at http://host:4000/profiles/<name>
+app.get('/profiles/:profile/search', checkSearchKey, (req, res) => {
+  const runtime = profileRuntimes[req.params.profile];
+  if (!runtime) return res.status(404).json({ error: `unknown profile: ${req.params.profile}` });
+  return handleSearch(req, res, runtime);
+});
+
+app.get('/profiles/:profile/item', checkSearchKey, (req, res) => {
+  const runtime = profileRuntimes[req.params.profile];
+  if (!runtime) return res.status(404).json({ error: `unknown profile: ${req.params.profile}` });
+  const ref = itemRef(req);
+  if (rejectItemRef(ref, res)) return;
+  return handleItem(res, runtime, ref);
+});
+
+// Admin endpoints require the admin password or a login session once one is configured
+// (ADMIN_PASSWORD env or auth.adminPasswordHash); without it they stay open for LAN use.
+const checkAdmin = authGuard.requireAdmin();
+
+// Which secrets are configured; public so the admin UI knows whether to show the login form
+app.get('/admin/auth', (req, res) => {
+  res.json({ admin: authGuard.adminMode(), search: authGuard.searchMode() });
+});
+
+app.post('/admin/login', express.json(), (req, res) => {
+  if (authGuard.adminMode() === 'none') return res.json({ ok: true, token: null });
+  if (authGuard.rejectLocked(req, res)) return;
+  const token = authGuard.login(req.body && req.body.password);
+  if (!token) {
+    authGuard.recordFailure(req.ip);
+    return res.status(401).json({ error: 'invalid password' });
   }
+  authGuard.clearFailures(req.ip);
+  res.json({ ok: true, token });
+});
 
-  // Normalize author fields for all results so downstream consumers (like Audiobookshelf)
-  // reliably see both `authors` (array) and `author` (string).
-  const normalizeAuthors = (item) => {
-    if (!item) return;
-    // Normalize authors -> array of trimmed names
-    if (Array.isArray(item.authors)) {
-      item.authors = item.authors.map(a => (a || '').toString().trim()).filter(Boolean);
-    } else if (item.author && typeof item.author === 'string') {
-      // split common separators: comma, semicolon, ' and '
-      const parts = item.author.split(/\s*(?:,|;| and )\s*/).map(s => s.trim()).filter(Boolean);
-      item.authors = parts;
-    } else {
-      item.authors = item.authors || [];
-    }
+app.post('/admin/logout', checkAdmin, (req, res) => {
+  authGuard.logout(credentialFrom(req));
+  res.json({ ok: true });
+});
 
-    // Ensure singular author string exists (joined)
-    if (!item.author || typeof item.author !== 'string' || !item.author.trim()) {
-      item.author = item.authors && item.authors.length ? item.authors.join(', ') : undefined;
-    } else {
-      item.author = item.author.trim();
-    }
+// Set or clear secrets (stored hashed in config.auth); body: { adminPassword?, searchApiKey? }, null clears
+app.put('/admin/auth', checkAdmin, express.json(), (req, res) => {
+  const body = req.body || {};
+  const auth = { ...(config.auth || {}) };
+  const apply = (field, hashKey) => {
+    if (!(field in body)) return;
+    if (body[field] === null || body[field] === '') delete auth[hashKey];
+    else auth[hashKey] = hashSecret(body[field]);
   };
+  apply('adminPassword', 'adminPasswordHash');
+  apply('searchApiKey', 'searchApiKeyHash');
+  try {
+    configLoader.saveConfig({ ...config, auth });
+    config = configLoader.loadConfig();
+    authGuard.reset();
+    console.log('Auth settings saved. admin=', authGuard.adminMode(), 'search=', authGuard.searchMode());
+    res.json({ ok: true, admin: authGuard.adminMode(), search: authGuard.searchMode() });
+  } catch (err) {
+    res.status(400).json({ error: err.message, details: err.details || null });
+  }
+});
 
-  for (const it of fullResults) normalizeAuthors(it);
-  // Ensure subtitle exists where possible by looking into identifiers
-  // NOTE: avoid using provider `source.description` as a fallback for `publisher` —
-  // that often contains the provider/site name (Lubimyczytac, Audioteka) rather
-  // than the actual publishing company. Providers should supply `publisher`.
-  for (const it of fullResults) {
-    if ((!it.subtitle || it.subtitle === '') && it.identifiers && it.identifiers.title) {
-      it.subtitle = it.identifiers.title;
+app.get('/admin/config', checkAdmin, (req, res) => {
+  res.json(redactConfig(config));
+});
+
+// Provider metadata for the admin UI: kind (builtin / plugin / remote), supported languages and
+// capabilities of the running providers, plus plugins found on the volume that are not running
+app.get('/admin/providers/meta', checkAdmin, (req, res) => {
+  const meta = providers.map(describeProvider);
+  res.json([...meta, ...describeIdlePlugins(meta.map(m => m.name), config)]);
+});
+
+// Cache inspection: per-provider hit rates and entry counts; ?entries=1 lists keys
+app.get('/admin/cache', checkAdmin, (req, res) => {
+  const out = metadataCache.summary();
+  if (req.query.entries) {
+    const limit = parseInt(req.query.limit, 10) || 100;
+    out.list = metadataCache.entries({ provider: req.query.provider, kind: req.query.kind, limit });
+  }
+  res.json(out);
+});
+
+// Purge by ?key=..., or by ?provider=... and/or ?kind=search|metadata; no params purges everything
+app.delete('/admin/cache', checkAdmin, (req, res) => {
+  const { provider, kind, key } = req.query;
+  const removed = metadataCache.purge({ provider, kind, key });
+  console.log('[cache] purged', removed, 'entries', JSON.stringify({ provider, kind, key }));
+  res.json({ ok: true, removed });
+});
+
+// Pre-warm: body { provider, queries: [{ query, author, lang }], items: [{ id, url, title }] }
+app.post('/admin/cache/prewarm', checkAdmin, express.json(), async (req, res) => {
+  const body = req.body || {};
+  const providerObj = providers.find(p => p.name === body.provider);
+  if (!providerObj) return res.status(400).json({ error: `unknown or disabled provider: ${body.provider}` });
+  const providerCfg = (config.providers && config.providers[providerObj.name]) || {};
+  const ttl = providerTtl(providerCfg);
+  const timeoutMs = providerCfg.timeoutMs || 10000;
+  const result = { searched: 0, fetched: 0, failed: 0 };
+
+  for (const q of Array.isArray(body.queries) ? body.queries : []) {
+    if (!q || !q.query) continue;
+    try {
+      const lang = q.lang || providerCfg.language;
+      const found = await runWithTimeout((signal) => providerObj.instance.searchBooks(q.query, q.author || '', lang, { signal }), timeoutMs);
+      const matches = (found && found.matches) || [];
+      if (matches.length && metadataCache.setSearch(providerObj.name, q.query, q.author || '', lang, matches, ttl.searchTtlSec)) result.searched++;
+      else result.failed++;
+    } catch (err) {
+      result.failed++;
     }
-    // do not auto-fill `publisher` from provider site description
   }
 
-  // Compatibility: some downstream consumers (older Audiobookshelf importers / plugins)
-  // expect a flat `published` or `published_date` field. Keep them populated so imports
-  // don't silently drop the year/date when they only look for these names.
-  for (const it of fullResults) {
-    // `published` - prefer explicit publishedYear (string), else derive from publishedDate
-    if (!it.published) {
-      if (it.publishedYear) it.published = it.publishedYear;
-      else if (it.publishedDate) {
-        try {
-          const y = new Date(it.publishedDate).getFullYear();
-          if (y && !Number.isNaN(y)) it.published = y.toString();
-        } catch (e) { /* ignore invalid dates */ }
-      }
+  for (const item of Array.isArray(body.items) ? body.items : []) {
+    if (!item || !(item.id || item.url)) continue;
+    try {
+      const full = await runWithTimeout((signal) => providerObj.instance.getFullMetadata(item, { signal }), timeoutMs);
+      if (full && full !== item && metadataCache.setMetadata(providerObj.name, item, full, ttl.metadataTtlSec)) result.fetched++;
+      else result.failed++;
+    } catch (err) {
+      result.failed++;
     }
-    // `published_date` - expose full ISO-like date if available
-    if (!it.published_date && it.publishedDate) it.published_date = it.publishedDate;
   }
 
-  res.json({ providers: all, matches: fullResults });
+  console.log('[cache] prewarm', providerObj.name, JSON.stringify(result));
+  res.json({ ok: true, ...result });
 });
 
-// Admin endpoints for config — no authentication enforced (LAN use assumed).
-function checkAdmin(req, res, next) {
-  // deliberately allow all requests; remove ADMIN_TOKEN gating to simplify local use
-  return next();
+// Provider health: canary runs with last success, error rate, latency and field coverage per provider
+function healthReport() {
+  const out = healthMonitor.summary();
+  out.intervalMin = healthIntervalMin();
+  for (const p of providers) {
+    const { canaries, fields } = healthSettings(config.providers && config.providers[p.name], p.ProviderClass);
+    out.providers[p.name] = { ...(out.providers[p.name] || healthMonitor.providerSummary(p.name)), canaries, fields };
+  }
+  return out;
 }
 
-app.get('/admin/config', checkAdmin, (req, res) => {
-  res.json(config);
+app.get('/admin/health', checkAdmin, (req, res) => {
+  res.json(healthReport());
 });
 
-// Provide provider metadata (supported languages etc) to admin UI
-app.get('/admin/providers/meta', checkAdmin, (req, res) => {
-  const meta = providers.map(p => {
-    const supported = (p.ProviderClass && p.ProviderClass.supportedLanguages) || (p.ProviderClass && p.ProviderClass.supportedLanguages) || [];
-    return { name: p.name, supportedLanguages: supported };
-  });
-  res.json(meta);
+// Run the canaries now (all providers, or ?provider=name) and return the updated report
+app.post('/admin/health/run', checkAdmin, async (req, res) => {
+  const only = req.query.provider;
+  if (only && !providers.some(p => p.name === only)) return res.status(400).json({ error: `unknown or disabled provider: ${only}` });
+  await runHealthChecks(only);
+  res.json(healthReport());
+});
+
+// Scraping rules of the HTML providers: shipped defaults merged with overrides from <config volume>/rules
+app.get('/admin/rules', checkAdmin, (req, res) => {
+  res.json({ rules: listRules() });
+});
+
+// Effective rules for one provider and language, e.g. as a starting point for an override file
+app.get('/admin/rules/:provider/:lang', checkAdmin, (req, res) => {
+  if (!/^[\w-]+$/.test(req.params.provider) || !/^[\w-]+$/.test(req.params.lang)) return res.status(400).json({ error: 'invalid provider or language' });
+  try {
+    res.json(getRules(req.params.provider, req.params.lang));
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+// Re-read every rule file; invalid overrides are reported and the defaults stay in use
+app.post('/admin/rules/reload', checkAdmin, (req, res) => {
+  const rules = reloadRules();
+  res.json({ ok: !rules.some(r => r.error), rules });
 });
 
 app.put('/admin/config', checkAdmin, express.json(), (req, res) => {
   try {
-    const newCfg = req.body;
+    // Secrets are never sent to the client, so keep the stored ones; only /admin/auth changes them
+    const newCfg = { ...req.body };
+    const auth = { ...((req.body && req.body.auth) || {}) };
+    for (const key of ['adminPasswordHash', 'searchApiKeyHash']) {
+      if (config.auth && config.auth[key]) auth[key] = config.auth[key];
+      else delete auth[key];
+    }
+    if (Object.keys(auth).length) newCfg.auth = auth;
+    else delete newCfg.auth;
     // validate and save
     configLoader.saveConfig(newCfg);
     // reload in-memory
     config = configLoader.loadConfig();
+    metadataCache.enabled = !(config.global && config.global.cacheEnabled === false);
     // reload provider instances in background
     try {
       reloadProviders(config);
     } catch (err) {
       console.error('Error reloading providers after config save:', err && err.message ? err.message : err);
     }
+    scheduleHealthChecks();
     console.log('Config saved. global.titleWeight=', (config.global && config.global.titleWeight));
-    res.json({ ok: true, config });
+    res.json({ ok: true, config: redactConfig(config) });
+  } catch (err) {
+    res.status(400).json({ error: err.message, details: err.details || null });
+  }
+});
+
+// Profiles: named overrides of the providers/global sections, stored in config.profiles
+app.get('/admin/profiles', checkAdmin, (req, res) => {
+  res.json(config.profiles || {});
+});
+
+app.get('/admin/profiles/:name', checkAdmin, (req, res) => {
+  const profile = config.profiles && config.profiles[req.params.name];
+  if (!profile) return res.status(404).json({ error: `unknown profile: ${req.params.name}` });
+  res.json({ name: req.params.name, profile, effective: configLoader.resolveProfile(config, req.params.name) });
+});
+
+// Create or replace a profile (body: { description?, providers?, global? })
+app.put('/admin/profiles/:name', checkAdmin, express.json(), (req, res) => {
+  const name = req.params.name;
+  const newCfg = { ...config, profiles: { ...(config.profiles || {}), [name]: req.body || {} } };
+  try {
+    configLoader.saveConfig(newCfg);
+    config = configLoader.loadConfig();
+    reloadProfiles(config);
+    console.log(`Profile ${name} saved`);
+    res.json({ ok: true, name, profile: config.profiles[name] });
+  } catch (err) {
+    res.status(400).json({ error: err.message, details: err.details || null });
+  }
+});
+
+app.delete('/admin/profiles/:name', checkAdmin, (req, res) => {
+  const name = req.params.name;
+  if (!config.profiles || !config.profiles[name]) return res.status(404).json({ error: `unknown profile: ${name}` });
+  const profiles = { ...config.profiles };
+  delete profiles[name];
+  const newCfg = { ...config, profiles };
+  if (!Object.keys(profiles).length) delete newCfg.profiles;
+  try {
+    configLoader.saveConfig(newCfg);
+    config = configLoader.loadConfig();
+    reloadProfiles(config);
+    console.log(`Profile ${name} deleted`);
+    res.json({ ok: true });
   } catch (err) {
     res.status(400).json({ error: err.message, details: err.details || null });
   }
@@ -659,4 +843,19 @@ app.get('/search-ui', (req, res) => {
   res.sendFile(path.resolve(__dirname, 'search.html'));
 });
 
-app.listen(port, () => console.log(`Backbone listening on ${port}; providers: ${providers.map(p=>p.name).join(',')}`));
+app.listen(port, () => {
+  if (authGuard.adminMode() === 'none') console.warn('Admin routes are not protected: set ADMIN_PASSWORD or auth.adminPasswordHash before exposing the backbone beyond your LAN');
+  const profileNames = Object.keys(profileRuntimes);
+  console.log(`Backbone listening on ${port}; providers: ${providers.map(p=>p.name).join(',')}${profileNames.length ? `; profiles: ${profileNames.join(',')}` : ''}`);
+  reloadRules();
+  scheduleHealthChecks();
+  if (healthIntervalMin() > 0) setTimeout(() => runHealthChecks(), HEALTH_STARTUP_DELAY_MS).unref();
+});
+
+// Persist the cache before the container stops
+for (const sig of ['SIGINT', 'SIGTERM']) {
+  process.on(sig, () => {
+    metadataCache.close();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,150 @@
+const { createHttpClient } = require('../lib/http');
+const { normalizeIsbn } = require('../lib/identifiers');
+const { twoLetterCode } = require('../lib/languages');
+const { POST_PROCESSORS } = require('../lib/extract');
+const { contributorsFrom } = require('../lib/contributors');
+
+// Google Books API (googleapis.com/books/v1). Works without a key at a low daily quota;
+// providers.googlebooks.extra.apiKey raises it.
+const SEARCH_RESULTS = 10;
+
+class GoogleBooksProvider {
+  constructor(options = {}) {
+    this.id = 'googlebooks';
+    this.name = 'Google Books';
+    this.baseUrl = 'https://www.googleapis.com/books/v1';
+    this.opts = options || {};
+    this.language = this.opts.language || 'pl';
+    this.timeoutMs = this.opts.timeoutMs || 10000;
+    this.apiKey = (this.opts.extra && this.opts.extra.apiKey) || process.env.GOOGLE_BOOKS_API_KEY || '';
+    this.source = { id: this.id, description: this.name, link: 'https://books.google.com' };
+    this.http = createHttpClient({ name: this.id, timeoutMs: this.timeoutMs, retry: this.opts.retry });
+  }
+
+  apiUrl(path, params = {}) {
+    const query = new URLSearchParams(params);
+    if (this.apiKey) query.set('key', this.apiKey);
+    const qs = query.toString();
+    return `${this.baseUrl}${path}${qs ? `?${qs}` : ''}`;
+  }
+
+  /**
+   * Largest image the volume links to, over https and without the page-curl effect.
+   */
+  coverOf(info) {
+    const links = info.imageLinks || {};
+    const url = links.extraLarge || links.large || links.medium || links.thumbnail || links.smallThumbnail;
+    return url ? url.replace(/^http:/, 'https:').replace(/&edge=curl/, '') : null;
+  }
+
+  /**
+   * Match for a volume; details and search results share this shape.
+   */
+  toMatch(volume) {
+    const info = (volume && volume.volumeInfo) || {};
+    if (!volume || !volume.id || !info.title) return null;
+    const ids = Object.fromEntries((info.industryIdentifiers || []).map(i => [i.type, i.identifier]));
+    const published = String(info.publishedDate || '');
+    const language = twoLetterCode(info.language);
+    return {
+      id: volume.id,
+      title: info.title,
+      subtitle: info.subtitle || undefined,
+      authors: info.authors || [],
+      contributors: contributorsFrom({ author: info.authors }),
+      url: info.canonicalVolumeLink || `https://books.google.com/books?id=${volume.id}`,
+      cover: this.coverOf(info),
+      description: POST_PROCESSORS.sanitizeHtml(info.description || ''),
+      publisher: info.publisher || '',
+      // Google reports "2014", "2014-09" or "2014-09-30"
+      publishedDate: /^\d{4}-\d{2}-\d{2}$/.test(published) ? new Date(`${published}T00:00:00Z`) : undefined,
+      publishedYear: /^\d{4}/.test(published) ? published.slice(0, 4) : undefined,
+      // "Fiction / Fantasy / Epic" -> Fiction, Fantasy, Epic ("General" only closes a branch)
+      genres: [...new Set((info.categories || []).flatMap(c => c.split('/').map(s => s.trim())).filter(s => s && s !== 'General'))],
+      rating: info.averageRating || null,
+      languages: language ? [language] : [],
+      type: volume.saleInfo && volume.saleInfo.isEbook ? 'ebook' : 'print',
+      identifiers: {
+        isbn: normalizeIsbn(ids.ISBN_13) || normalizeIsbn(ids.ISBN_10),
+        googlebooks: volume.id,
+      },
+      source: this.source,
+    };
+  }
+
+  async volumes(q, lang, options = {}) {
+    const params = { q, maxResults: SEARCH_RESULTS, printType: 'books' };
+    const langRestrict = twoLetterCode(lang || this.language);
+    if (langRestrict) params.langRestrict = langRestrict;
+    const { data } = await this.http.get(this.apiUrl('/volumes', params), { signal: options.signal });
+    return ((data && data.items) || []).map(v => this.toMatch(v)).filter(Boolean);
+  }
+
+  async searchBooks(query, author = '', lang, options = {}) {
+    const requestId = options.requestId || 'req';
+    try {
+      console.log(`[${requestId}] Searching Google Books for: "${query}" by "${author}"`);
+      const q = author ? `intitle:${query} inauthor:${author}` : `intitle:${query}`;
+      return { matches: await this.volumes(q, lang, options) };
+    } catch (error) {
+      console.error(`[${requestId}] Error searching Google Books:`, error.message);
+      return { matches: [] };
+    }
+  }
+
+  async searchByIdentifier(type, value, lang, options = {}) {
+    const isbn = type === 'isbn' ? normalizeIsbn(value) : '';
+    if (!isbn) return { matches: [] };
+    try {
+      // no language restriction: the ISBN already names the edition
+      const { data } = await this.http.get(this.apiUrl('/volumes', { q: `isbn:${isbn}` }), { signal: options.signal });
+      return { matches: ((data && data.items) || []).map(v => this.toMatch(v)).filter(Boolean) };
+    } catch (error) {
+      console.error('Error searching Google Books by ISBN:', error.message);
+      return { matches: [] };
+    }
+  }
+
+  /**
+   * Snippet for a pasted books.google.* link (?id=...) or a volume id.
+   * @param ref {{id?: string, url?: string}}
+   */
+  itemSnippet({ id, url } = {}) {
+    const idMatch = String(url || '').match(/[?&]id=([\w-]{12})/);
+    id = id || (idMatch && idMatch[1]);
+    if (!id) return null;
+    return { id, url: `https://books.google.com/books?id=${id}`, type: 'print', source: this.source };
+  }
+
+  async getFullMetadata(match, options = {}) {
+    const requestId = options.requestId || 'req';
+    try {
+      console.log(`[${requestId}] Fetching Google Books volume ${match.id}`);
+      // the volume itself has the large image links and the full description
+      const { data } = await this.http.get(this.apiUrl(`/volumes/${encodeURIComponent(match.id)}`), { signal: options.signal });
+      const volume = this.toMatch(data);
+      if (!volume) return match;
+      const full = { ...match };
+      for (const [key, value] of Object.entries(volume)) {
+        if (value !== undefined && value !== null && value !== '') full[key] = value;
+      }
+      full.identifiers = { ...(match.identifiers || {}), ...volume.identifiers, isbn: volume.identifiers.isbn || (match.identifiers && match.identifiers.isbn) || '' };
+      return full;
+    } catch (error) {
+      console.error(`[${requestId}] Error fetching Google Books volume ${match.id}:`, error.message);
+      return match;
+    }
+  }
+}
+
+module.exports = GoogleBooksProvider;
+// results only enrich merged results unless providers.googlebooks.role says otherwise
+module.exports.defaultRole = 'enrichment';
+// languages searches can be restricted to
+module.exports.supportedLanguages = ['pl', 'en', 'de', 'fr', 'cz'];
+// identifier types searchByIdentifier() can resolve
+module.exports.identifierTypes = ['isbn'];
+// fields the health canaries expect in the volume details
+module.exports.healthFields = ['title', 'authors', 'publishedYear'];
+// pasted links the backbone routes to this provider
+module.exports.urlPatterns = [/^https?:\/\/books\.google\.[a-z.]+\/books(?:\/about\/[^/?]+)?\?(?:.*&)?id=/i];
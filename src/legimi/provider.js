@@ -0,0 +1,152 @@
+const cheerio = require('cheerio');
+const { createHttpClient } = require('../lib/http');
+const { getRules } = require('../lib/rules');
+const { extractFields } = require('../lib/extract');
+const { contributorsFrom } = require('../lib/contributors');
+const { languageCodes } = require('../lib/languages');
+
+// Legimi sells one product per title; the formats it comes in (e-book, audiobook or both as
+// "synchrobook") are listed on the search teaser and the product page.
+class LegimiProvider {
+  constructor(options = {}) {
+    this.id = 'legimi';
+    this.name = 'Legimi';
+    this.baseUrl = 'https://www.legimi.pl';
+    this.opts = options || {};
+    this.language = this.opts.language || 'pl';
+    this.timeoutMs = this.opts.timeoutMs || 10000;
+    this.source = { id: this.id, description: this.name, link: this.baseUrl };
+    this.http = createHttpClient({
+      name: this.id,
+      timeoutMs: this.timeoutMs,
+      retry: this.opts.retry,
+      hostHeaders: {
+        'legimi.pl': { 'Accept-Language': 'pl-PL,pl;q=0.9' }
+      }
+    });
+  }
+
+  /**
+   * Product id from a product URL ("/ebook-ostatnie-zyczenie-andrzej-sapkowski,b123456.html" -> "b123456").
+   */
+  idFromUrl(url) {
+    const m = String(url || '').split('?')[0].match(/,(b\d+)\.html$/i);
+    return m ? m[1].toLowerCase() : null;
+  }
+
+  typeOf(formats, fallback = 'ebook') {
+    if (!Array.isArray(formats) || !formats.length) return fallback;
+    return formats.includes('audiobook') ? 'audiobook' : 'ebook';
+  }
+
+  async search(phrase, options = {}) {
+    const response = await this.http.get(`${this.baseUrl}/katalog/?szukaj=${encodeURIComponent(phrase)}`, { signal: options.signal });
+    const $ = cheerio.load(response.data);
+    const rules = getRules(this.id, this.language).search;
+    const matches = [];
+
+    $(rules.item).each((index, element) => {
+      const fields = extractFields($, $(element), rules.fields, { baseUrl: this.baseUrl });
+      if (!fields.title || !fields.url) return;
+      matches.push({
+        id: this.idFromUrl(fields.url) || fields.id,
+        title: fields.title,
+        authors: fields.authors || [],
+        url: fields.url,
+        cover: fields.cover || null,
+        type: this.typeOf(fields.formats),
+        source: this.source,
+      });
+    });
+    return matches;
+  }
+
+  async searchBooks(query, author = '', lang, options = {}) {
+    const requestId = options.requestId || 'req';
+    try {
+      console.log(`[${requestId}] Searching Legimi for: "${query}" by "${author}"`);
+      // the catalogue search takes one phrase; the backbone scores the author
+      return { matches: await this.search(query, options) };
+    } catch (error) {
+      console.error(`[${requestId}] Error searching Legimi:`, error.message);
+      return { matches: [] };
+    }
+  }
+
+  /**
+   * Look up a book by ISBN. The catalogue search matches ISBNs in the phrase; the backbone checks
+   * the ISBN on the product page before treating a hit as an identifier match.
+   */
+  async searchByIdentifier(type, value, lang, options = {}) {
+    if (type !== 'isbn') return { matches: [] };
+    try {
+      return { matches: await this.search(value, options) };
+    } catch (error) {
+      console.error('Error searching Legimi by identifier:', error.message);
+      return { matches: [] };
+    }
+  }
+
+  /**
+   * Build a snippet for a known product page (pasted URL) so getFullMetadata can fetch it directly.
+   * @param ref {{id?: string, url?: string}}
+   */
+  itemSnippet({ id, url } = {}) {
+    if (!url) return null;
+    return {
+      id: id || this.idFromUrl(url),
+      url: url.split('?')[0],
+      type: /\/audiobook-/i.test(url) ? 'audiobook' : 'ebook',
+      source: this.source,
+    };
+  }
+
+  async getFullMetadata(match, options = {}) {
+    const requestId = options.requestId || 'req';
+    try {
+      console.log(`[${requestId}] Fetching Legimi product: ${match.title || match.url}`);
+      const response = await this.http.get(match.url, { signal: options.signal });
+      const $ = cheerio.load(response.data);
+
+      const rules = getRules(this.id, this.language);
+      const page = extractFields($, $.root(), rules.detail.fields, { baseUrl: this.baseUrl, layouts: rules.labels });
+
+      const authors = (match.authors && match.authors.length) ? match.authors : (page.authors || []);
+      return {
+        ...match,
+        title: match.title || page.title,
+        authors,
+        contributors: contributorsFrom({ author: authors, narrator: page.narrators }),
+        cover: page.cover || match.cover || null,
+        narrators: page.narrators || [],
+        duration: page.duration,
+        publisher: page.publisher || '',
+        publishedDate: page.publishedDate || null,
+        description: page.description || '',
+        series: page.series ? [{ series: page.series, sequence: page.seriesIndex || undefined }] : [],
+        genres: page.genres || [],
+        tags: page.tags || [],
+        rating: page.rating || null,
+        languages: languageCodes(page.languages),
+        type: this.typeOf(page.formats, match.type || 'ebook'),
+        identifiers: {
+          isbn: page.isbn || '',
+          legimi: match.id,
+        },
+      };
+    } catch (error) {
+      console.error(`[${requestId}] Error fetching Legimi metadata for ${match.title || match.url}:`, error.message);
+      return match;
+    }
+  }
+}
+
+module.exports = LegimiProvider;
+// supported languages for admin UI
+module.exports.supportedLanguages = ['pl'];
+// identifier types searchByIdentifier() can resolve
+module.exports.identifierTypes = ['isbn'];
+// fields the health canaries expect on a product page
+module.exports.healthFields = ['title', 'authors', 'cover', 'narrator', 'duration', 'publisher'];
+// pasted links the backbone routes to this provider
+module.exports.urlPatterns = [/^https?:\/\/(?:www\.)?legimi\.pl\/(?:ebook|audiobook)-[^/]+,b\d+\.html/i];
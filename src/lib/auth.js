@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+
+// Authentication for the backbone:
+// - admin routes need the admin password (ADMIN_PASSWORD env or auth.adminPasswordHash in config),
+//   either directly as a Bearer token or via a session token from POST /admin/login
+// - /search optionally needs an API key (SEARCH_API_KEY env or auth.searchApiKeyHash), sent in the
+//   Authorization header the way Audiobookshelf custom providers do (raw value or "Bearer <key>")
+// - failed attempts are counted per client IP and locked out for a while
+// When no secret is configured the matching routes stay open (LAN use).
+
+const HASH_PREFIX = 'scrypt';
+const DEFAULTS = { sessionTtlSec: 43200, maxFailedAttempts: 10, lockoutSec: 300 };
+
+/**
+ * Hash a secret for storage in config.json: "scrypt$<salt hex>$<hash hex>".
+ */
+function hashSecret(secret) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(secret), salt, 32);
+  return `${HASH_PREFIX}$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifySecret(secret, stored) {
+  if (!secret || !stored || typeof stored !== 'string') return false;
+  const [prefix, saltHex, hashHex] = stored.split('$');
+  if (prefix !== HASH_PREFIX || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(String(secret), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+/**
+ * Extract the credential from an Authorization header ("Bearer x" or a raw value).
+ */
+function credentialFrom(req) {
+  const header = req.headers && req.headers.authorization;
+  if (!header || typeof header !== 'string') return '';
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  return (m ? m[1] : header).trim();
+}
+
+class AuthGuard {
+  /**
+   * @param getConfig {function(): object} returns the current config (auth section is read on every check)
+   * @param env {object} environment, defaults to process.env
+   */
+  constructor(getConfig, env = process.env) {
+    this.getConfig = getConfig;
+    this.env = env;
+    this.sessions = new Map();
+    this.failures = new Map();
+    // sha256 digests of credentials that already passed the (slow) scrypt check
+    this.verified = new Set();
+  }
+
+  settings() {
+    const cfg = this.getConfig() || {};
+    return { ...DEFAULTS, ...(cfg.auth || {}) };
+  }
+
+  adminMode() {
+    if (this.env.ADMIN_PASSWORD) return 'env';
+    return this.settings().adminPasswordHash ? 'config' : 'none';
+  }
+
+  searchMode() {
+    if (this.env.SEARCH_API_KEY) return 'env';
+    return this.settings().searchApiKeyHash ? 'config' : 'none';
+  }
+
+  matchesSecret(value, envValue, storedHash) {
+    if (!value) return false;
+    if (envValue) return safeEqual(value, envValue);
+    const digest = `${storedHash}:${crypto.createHash('sha256').update(value).digest('hex')}`;
+    if (this.verified.has(digest)) return true;
+    const ok = verifySecret(value, storedHash);
+    if (ok) this.verified.add(digest);
+    return ok;
+  }
+
+  checkAdminPassword(value) {
+    return this.matchesSecret(value, this.env.ADMIN_PASSWORD, this.settings().adminPasswordHash);
+  }
+
+  checkSearchKey(value) {
+    return this.matchesSecret(value, this.env.SEARCH_API_KEY, this.settings().searchApiKeyHash);
+  }
+
+  validSession(token) {
+    const expires = token && this.sessions.get(token);
+    if (!expires) return false;
+    if (expires < Date.now()) {
+      this.sessions.delete(token);
+      return false;
+    }
+    return true;
+  }
+
+  login(password) {
+    if (!this.checkAdminPassword(password)) return null;
+    const token = crypto.randomBytes(32).toString('hex');
+    this.sessions.set(token, Date.now() + this.settings().sessionTtlSec * 1000);
+    return token;
+  }
+
+  logout(token) {
+    this.sessions.delete(token);
+  }
+
+  // Drop sessions and cached verifications, e.g. after the admin password changed
+  reset() {
+    this.sessions.clear();
+    this.verified.clear();
+  }
+
+  lockedFor(ip) {
+    const entry = this.failures.get(ip);
+    if (!entry || !entry.lockedUntil) return 0;
+    const left = entry.lockedUntil - Date.now();
+    if (left <= 0) {
+      this.failures.delete(ip);
+      return 0;
+    }
+    return Math.ceil(left / 1000);
+  }
+
+  recordFailure(ip) {
+    const { maxFailedAttempts, lockoutSec } = this.settings();
+    const entry = this.failures.get(ip) || { count: 0, lockedUntil: 0 };
+    entry.count++;
+    if (entry.count >= maxFailedAttempts) {
+      entry.lockedUntil = Date.now() + lockoutSec * 1000;
+      entry.count = 0;
+      console.warn(`[auth] ${ip} locked out for ${lockoutSec}s after ${maxFailedAttempts} failed attempts`);
+    }
+    this.failures.set(ip, entry);
+  }
+
+  clearFailures(ip) {
+    this.failures.delete(ip);
+  }
+
+  rejectLocked(req, res) {
+    const wait = this.lockedFor(req.ip);
+    if (!wait) return false;
+    res.set('Retry-After', String(wait));
+    res.status(429).json({ error: 'too many failed attempts, try again later' });
+    return true;
+  }
+
+  // Express middleware for /admin/* API routes
+  requireAdmin() {
+    return (req, res, next) => {
+      if (this.adminMode() === 'none') return next();
+      if (this.rejectLocked(req, res)) return;
+      const credential = credentialFrom(req);
+      if (this.validSession(credential) || this.checkAdminPassword(credential)) {
+        this.clearFailures(req.ip);
+        return next();
+      }
+      if (credential) this.recordFailure(req.ip);
+      res.status(401).json({ error: 'admin authentication required' });
+    };
+  }
+
+  // Express middleware for /search; admin sessions are accepted too so the search UI works after login
+  requireSearchKey() {
+    return (req, res, next) => {
+      if (this.searchMode() === 'none') return next();
+      if (this.rejectLocked(req, res)) return;
+      const credential = credentialFrom(req);
+      if (this.checkSearchKey(credential) || this.validSession(credential)) {
+        this.clearFailures(req.ip);
+        return next();
+      }
+      if (credential) this.recordFailure(req.ip);
+      res.status(401).json({ error: 'API key required' });
+    };
+  }
+}
+
+/**
+ * Copy of the config that is safe to send to clients: secret hashes are replaced by flags.
+ */
+function redactConfig(cfg) {
+  if (!cfg || !cfg.auth) return cfg;
+  const auth = { ...cfg.auth };
+  for (const key of ['adminPasswordHash', 'searchApiKeyHash']) {
+    if (auth[key]) auth[key] = '********';
+  }
+  return { ...cfg, auth };
+}
+
+module.exports = { AuthGuard, hashSecret, verifySecret, redactConfig, credentialFrom };
+
+// CLI: `node src/lib/auth.js hash <secret>` prints a value for auth.adminPasswordHash / auth.searchApiKeyHash
+if (require.main === module) {
+  const [cmd, secret] = process.argv.slice(2);
+  if (cmd !== 'hash' || !secret) {
+    console.error('usage: node src/lib/auth.js hash <secret>');
+    process.exit(1);
+  }
+  console.log(hashSecret(secret));
+}
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const NodeCache = require('node-cache');
+
+// Backbone-level cache for provider search snippets and full metadata.
+// Entries live in memory (NodeCache) and are flushed to a JSON file under the
+// mounted config volume so they survive container restarts.
+
+const DEFAULT_DATA_DIR = path.resolve(__dirname, '..', 'config', 'data');
+const DEFAULT_TTL = { searchTtlSec: 21600, metadataTtlSec: 604800 };
+const KINDS = ['search', 'metadata'];
+
+// Fields the backbone attaches per request; they must not be stored with an entry
+const TRANSIENT_FIELDS = ['similarity', 'scoreDetails', 'identifierMatch', '_provider', '_providerPriority'];
+
+function stripTransient(item) {
+  if (!item || typeof item !== 'object') return item;
+  const copy = { ...item };
+  for (const f of TRANSIENT_FIELDS) delete copy[f];
+  return copy;
+}
+
+class MetadataCache {
+  /**
+   * @param options {{file?: string, enabled?: boolean, flushDelayMs?: number}}
+   */
+  constructor(options = {}) {
+    this.file = options.file || path.join(process.env.DATA_DIR || DEFAULT_DATA_DIR, 'cache.json');
+    this.enabled = options.enabled !== false;
+    this.flushDelayMs = typeof options.flushDelayMs === 'number' ? options.flushDelayMs : 5000;
+    this.store = new NodeCache({ useClones: false, checkperiod: 600 });
+    this.stats = {};
+    this.flushTimer = null;
+    this.store.on('expired', () => this.scheduleFlush());
+    this.load();
+  }
+
+  static searchKey(provider, query, author, lang) {
+    const norm = (s) => (s || '').toString().trim().toLowerCase();
+    return `search:${provider}:${norm(lang)}:${norm(query)}|${norm(author)}`;
+  }
+
+  // Details are kept per region / locale: a Storytel book has other texts (or no listing) in
+  // another market, so details fetched for one region must not answer a hit from another
+  static metadataKey(provider, match) {
+    const ref = match && (match.id || match.url);
+    if (!ref) return null;
+    const region = (match.region || match.locale || '').toString().trim().toLowerCase();
+    return region ? `metadata:${provider}:${region}:${ref}` : `metadata:${provider}:${ref}`;
+  }
+
+  static parseKey(key) {
+    const [kind, provider] = key.split(':');
+    return { kind, provider };
+  }
+
+  counter(provider, kind) {
+    this.stats[provider] = this.stats[provider] || {};
+    this.stats[provider][kind] = this.stats[provider][kind] || { hits: 0, misses: 0 };
+    return this.stats[provider][kind];
+  }
+
+  get(key) {
+    if (!this.enabled || !key) return undefined;
+    const { kind, provider } = MetadataCache.parseKey(key);
+    const value = this.store.get(key);
+    const c = this.counter(provider, kind);
+    if (typeof value === 'undefined') c.misses++;
+    else c.hits++;
+    return value;
+  }
+
+  /**
+   * Store a value; ttlSec <= 0 skips caching (per-provider opt-out).
+   */
+  set(key, value, ttlSec) {
+    if (!this.enabled || !key || !(ttlSec > 0)) return false;
+    this.store.set(key, value, ttlSec);
+    this.scheduleFlush();
+    return true;
+  }
+
+  getSearch(provider, query, author, lang) {
+    return this.get(MetadataCache.searchKey(provider, query, author, lang));
+  }
+
+  setSearch(provider, query, author, lang, matches, ttlSec) {
+    return this.set(MetadataCache.searchKey(provider, query, author, lang), matches.map(stripTransient), ttlSec);
+  }
+
+  /**
+   * Cached full metadata for a snippet, with the snippet's per-request fields re-applied.
+   */
+  getMetadata(provider, match) {
+    const cached = this.get(MetadataCache.metadataKey(provider, match));
+    if (!cached) return undefined;
+    const out = { ...cached };
+    for (const f of TRANSIENT_FIELDS) if (typeof match[f] !== 'undefined') out[f] = match[f];
+    return out;
+  }
+
+  setMetadata(provider, match, full, ttlSec) {
+    return this.set(MetadataCache.metadataKey(provider, match), stripTransient(full), ttlSec);
+  }
+
+  /**
+   * Remove entries. With a key only that entry goes; otherwise filter by provider and/or kind.
+   * @returns {number} removed entry count
+   */
+  purge({ provider, kind, key } = {}) {
+    let keys;
+    if (key) keys = this.store.has(key) ? [key] : [];
+    else {
+      keys = this.store.keys().filter(k => {
+        const parsed = MetadataCache.parseKey(k);
+        return (!provider || parsed.provider === provider) && (!kind || parsed.kind === kind);
+      });
+    }
+    const removed = this.store.del(keys);
+    if (!key && !kind) {
+      if (provider) delete this.stats[provider];
+      else this.stats = {};
+    }
+    if (removed) this.scheduleFlush();
+    return removed;
+  }
+
+  entries({ provider, kind, limit = 100 } = {}) {
+    const out = [];
+    for (const k of this.store.keys()) {
+      const parsed = MetadataCache.parseKey(k);
+      if ((provider && parsed.provider !== provider) || (kind && parsed.kind !== kind)) continue;
+      out.push({ key: k, ...parsed, expiresAt: new Date(this.store.getTtl(k)).toISOString() });
+      if (out.length >= limit) break;
+    }
+    return out;
+  }
+
+  summary() {
+    const byProvider = {};
+    for (const k of this.store.keys()) {
+      const { kind, provider } = MetadataCache.parseKey(k);
+      byProvider[provider] = byProvider[provider] || {};
+      byProvider[provider][kind] = byProvider[provider][kind] || { hits: 0, misses: 0, entries: 0 };
+      byProvider[provider][kind].entries++;
+    }
+    for (const [provider, kinds] of Object.entries(this.stats)) {
+      for (const [kind, c] of Object.entries(kinds)) {
+        byProvider[provider] = byProvider[provider] || {};
+        byProvider[provider][kind] = { entries: 0, ...byProvider[provider][kind], hits: c.hits, misses: c.misses };
+      }
+    }
+    for (const kinds of Object.values(byProvider)) {
+      for (const kind of KINDS) {
+        const c = kinds[kind];
+        if (!c) continue;
+        c.hits = c.hits || 0;
+        c.misses = c.misses || 0;
+        const total = c.hits + c.misses;
+        c.hitRate = total ? Math.round((c.hits / total) * 1000) / 1000 : null;
+      }
+    }
+    return { enabled: this.enabled, file: this.file, entries: this.store.keys().length, byProvider };
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.file)) return;
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      const now = Date.now();
+      let loaded = 0;
+      for (const [key, entry] of Object.entries(data.entries || {})) {
+        const ttlSec = Math.floor((entry.expiresAt - now) / 1000);
+        if (ttlSec > 0) {
+          this.store.set(key, entry.value, ttlSec);
+          loaded++;
+        }
+      }
+      console.log(`[cache] loaded ${loaded} entries from ${this.file}`);
+    } catch (err) {
+      console.error('[cache] could not load cache file:', err && err.message ? err.message : err);
+    }
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushDelayMs);
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+
+  /**
+   * Write all live entries to disk (temp file + rename so a crash never leaves half a file).
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    try {
+      const entries = {};
+      for (const k of this.store.keys()) {
+        entries[k] = { expiresAt: this.store.getTtl(k), value: this.store.get(k) };
+      }
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ version: 1, entries }), 'utf8');
+      fs.renameSync(tmp, this.file);
+    } catch (err) {
+      console.error('[cache] could not write cache file:', err && err.message ? err.message : err);
+    }
+  }
+
+  close() {
+    this.flush();
+    this.store.close();
+  }
+}
+
+/**
+ * Resolve a provider's TTLs from config (providers.<name>.cache).
+ */
+function providerTtl(providerCfg) {
+  return { ...DEFAULT_TTL, ...((providerCfg && providerCfg.cache) || {}) };
+}
+
+module.exports = { MetadataCache, providerTtl, DEFAULT_TTL };
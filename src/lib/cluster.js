@@ -0,0 +1,153 @@
+const stringSimilarity = require('string-similarity');
+const { mergeGroup, seriesOf } = require('./merge');
+const { normalizeText, scoreAuthorName, workTitleParts, volumeNumbers } = require('./scoring');
+const { identifierOf } = require('./identifiers');
+const { formatOf } = require('./formats');
+
+// Groups provider results that describe the same book ("work") so each cluster can be
+// returned as one merged result, with the provider items kept as `alternatives`.
+// Two results are the same work when they share an ISBN, or when they are in the same format
+// (or either is an enrichment result), their authors overlap and either their titles match or
+// they sit at the same position of the same series. Titles match when they are equal after
+// normalization, when one is the book title part of the other ("Wiedźmin. Tom 1: Ostatnie
+// życzenie" vs "Ostatnie życzenie"), or when they are spelling variants; a title whose words are
+// a subset of the other's ("Dune" vs "Dune Messiah") is a different book. Each result is compared
+// with the first (best) result of a cluster only, so a series never chains into one cluster.
+// Results of enrichment providers (`_role: 'enrichment'`) join clusters and contribute fields,
+// but a cluster needs a primary provider's result to be returned.
+
+const isEnrichment = (item) => item._role === 'enrichment';
+
+const AUTHOR_MATCH = 0.85;
+// spelling variants only ("Ostatnie zyczenie" vs "Ostatnie życzenia")
+const TITLE_MATCH = 0.9;
+
+function authorsOverlap(a, b) {
+  const aa = Array.isArray(a.authors) ? a.authors : [];
+  const bb = Array.isArray(b.authors) ? b.authors : [];
+  if (!aa.length || !bb.length) return false;
+  return aa.some(x => bb.some(y => scoreAuthorName(x, y).score >= AUTHOR_MATCH));
+}
+
+function seriesKeys(item) {
+  return seriesOf(item).map(s => ({
+    name: normalizeText(s.series),
+    sequence: s.sequence ? String(s.sequence).trim() : ''
+  }));
+}
+
+// Both results name the same series but with different volume numbers
+function sequencesConflict(sa, sb) {
+  return sa.some(x => sb.some(y => x.name === y.name && x.sequence && y.sequence && x.sequence !== y.sequence));
+}
+
+// Both results are in a known format, and not the same one (audiobook and e-book editions).
+// Enrichment results describe the book rather than an edition and join any format.
+function formatsConflict(a, b) {
+  if (isEnrichment(a) || isEnrichment(b)) return false;
+  const fa = formatOf(a.type);
+  const fb = formatOf(b.type);
+  return !!fa && !!fb && fa !== fb;
+}
+
+// Both titles carry volume numbers ("Bernard Gross. Tom 2" vs "Bernard Gross. Tom 3"), none shared
+function volumesConflict(a, b) {
+  const va = volumeNumbers(a.title);
+  const vb = volumeNumbers(b.title);
+  return va.length > 0 && vb.length > 0 && !va.some(v => vb.includes(v));
+}
+
+// Normalized full title and the title parts that name the book, without the result's series names
+function titlesOf(item, series) {
+  const names = series.map(s => s.name);
+  const parts = workTitleParts(item.title).filter(p => !names.includes(p));
+  return [normalizeText(item.title), ...parts].filter(Boolean);
+}
+
+function isSubset(words, of) {
+  return words.every(w => of.includes(w));
+}
+
+function titlesMatch(a, b, sa, sb) {
+  const ta = normalizeText(a.title);
+  const tb = normalizeText(b.title);
+  if (!ta || !tb) return false;
+  if (ta === tb || titlesOf(a, sa).includes(tb) || titlesOf(b, sb).includes(ta)) return true;
+  const wa = ta.split(' ');
+  const wb = tb.split(' ');
+  if (isSubset(wa, wb) || isSubset(wb, wa)) return false;
+  return stringSimilarity.compareTwoStrings(ta, tb) >= TITLE_MATCH;
+}
+
+/**
+ * Why two results are the same work, or null when they are not.
+ * @returns {'isbn'|'title'|'series'|null}
+ */
+function sameWork(a, b) {
+  const isbnA = identifierOf(a, 'isbn');
+  if (isbnA && isbnA === identifierOf(b, 'isbn')) return 'isbn';
+  if (formatsConflict(a, b) || !authorsOverlap(a, b)) return null;
+
+  const sa = seriesKeys(a);
+  const sb = seriesKeys(b);
+  if (sequencesConflict(sa, sb)) return null;
+  if (sa.some(x => x.sequence && sb.some(y => x.name === y.name && x.sequence === y.sequence))) return 'series';
+  if (volumesConflict(a, b)) return null;
+  return titlesMatch(a, b, sa, sb) ? 'title' : null;
+}
+
+/**
+ * Group sorted results into works: each result joins the first cluster whose first (best) member
+ * is the same work, or starts a cluster of its own.
+ * @param results {object[]} results sorted best first
+ * @returns {{members: object[], reasons: string[]}[]}
+ */
+function findClusters(results) {
+  const clusters = [];
+  for (const item of results) {
+    let why = null;
+    const cluster = clusters.find(c => (why = sameWork(c.members[0], item)));
+    if (!cluster) {
+      clusters.push({ members: [item], reasons: [] });
+      continue;
+    }
+    cluster.members.push(item);
+    if (!cluster.reasons.includes(why)) cluster.reasons.push(why);
+  }
+  return clusters;
+}
+
+/**
+ * Replace every multi-result cluster by one merged result; single results pass through.
+ * Clusters made only of enrichment results are dropped (a lone result is returned as is).
+ * @param results {object[]} results sorted best first; not modified
+ * @param options {{preferences?: object, debug?: boolean}}
+ * @returns {object[]}
+ */
+function clusterResults(results, options = {}) {
+  if (!results || results.length < 2) return results;
+  // a cluster ranks by its best primary result, which an enrichment result may precede
+  const rank = (cluster) => results.indexOf(cluster.members.find(m => !isEnrichment(m)));
+  const clusters = findClusters(results).filter(c => rank(c) >= 0).sort((a, b) => rank(a) - rank(b));
+  return clusters.map(({ members, reasons }) => {
+    if (members.length === 1) return members[0];
+    const best = members.find(m => !isEnrichment(m));
+    const merged = mergeGroup(members, options);
+    merged.similarity = best.similarity;
+    merged.scoreDetails = best.scoreDetails;
+    const identified = members.find(i => i.identifierMatch);
+    if (identified) merged.identifierMatch = identified.identifierMatch;
+    merged._clusteredBy = reasons;
+    merged.alternatives = members;
+    if (options.debug) {
+      const described = members.map(m => ({ provider: m._provider, title: m.title }));
+      console.log('[merge] cluster', JSON.stringify({ reasons, members: described }));
+    }
+    const providerNames = Array.from(new Set(members.map(i => i._provider))).join(',');
+    const fieldSources = JSON.stringify(merged._mergedFieldSources);
+    console.log('[merge] merged from providers:', providerNames, 'fieldSources=', fieldSources);
+    return merged;
+  });
+}
+
+module.exports = { clusterResults, findClusters, sameWork };
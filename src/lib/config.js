@@ -2,34 +2,65 @@ const fs = require('fs');
 const path = require('path');
 const Ajv = require('ajv');
 
-const CONFIG_PATH = path.resolve(__dirname, '..', 'config', 'config.json');
+// CONFIG_PATH points the backbone at another config file (tests, several instances on one volume)
+const CONFIG_PATH = process.env.CONFIG_PATH || path.resolve(__dirname, '..', 'config', 'config.json');
 const SCHEMA_PATH = path.resolve(__dirname, '..', 'config', 'schema.json');
 
 const ajv = new Ajv({ allErrors: true, useDefaults: true });
 const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
 const validate = ajv.compile(schema);
 
-function loadConfig() {
-  const raw = fs.readFileSync(CONFIG_PATH, 'utf8');
-  const cfg = JSON.parse(raw);
-  const valid = validate(cfg);
+/**
+ * Validate a config and return a copy with schema defaults applied; `cfg` itself is not modified.
+ */
+function validateConfig(cfg) {
+  const checked = JSON.parse(JSON.stringify(cfg));
+  const valid = validate(checked);
   if (!valid) {
     const err = new Error('Invalid config: ' + ajv.errorsText(validate.errors));
     err.details = validate.errors;
     throw err;
   }
-  return cfg;
+  // Profiles are partial overrides: they are validated with the same definitions, but keep
+  // only the keys the user set so unset keys fall through to the base config.
+  if (cfg && cfg.profiles) checked.profiles = JSON.parse(JSON.stringify(cfg.profiles));
+  return checked;
+}
+
+function loadConfig() {
+  const raw = fs.readFileSync(CONFIG_PATH, 'utf8');
+  return validateConfig(JSON.parse(raw));
 }
 
 function saveConfig(cfg) {
-  const valid = validate(cfg);
-  if (!valid) {
-    const err = new Error('Invalid config: ' + ajv.errorsText(validate.errors));
-    err.details = validate.errors;
-    throw err;
-  }
-  fs.writeFileSync(CONFIG_PATH, JSON.stringify(cfg, null, 2), 'utf8');
+  const checked = validateConfig(cfg);
+  fs.writeFileSync(CONFIG_PATH, JSON.stringify(checked, null, 2), 'utf8');
   return true;
 }
 
-module.exports = { loadConfig, saveConfig };
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Recursively merge plain objects; arrays and scalars from `override` replace the base value.
+function deepMerge(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) return typeof override === 'undefined' ? base : override;
+  const out = { ...base };
+  for (const [k, v] of Object.entries(override)) {
+    out[k] = isPlainObject(v) && isPlainObject(base[k]) ? deepMerge(base[k], v) : v;
+  }
+  return out;
+}
+
+/**
+ * Build the effective config for a named profile: its `providers` and `global`
+ * sections are merged on top of the base config. Returns null for unknown profiles.
+ */
+function resolveProfile(cfg, name) {
+  const profile = cfg && cfg.profiles && cfg.profiles[name];
+  if (!profile) return null;
+  return {
+    providers: deepMerge(cfg.providers || {}, profile.providers || {}),
+    global: deepMerge(cfg.global || {}, profile.global || {})
+  };
+}
+
+module.exports = { loadConfig, saveConfig, validateConfig, resolveProfile, deepMerge };
@@ -0,0 +1,83 @@
+// People credited on a book, as { name, role }. Providers fill `contributors` from the link lists
+// of their detail pages and the name arrays of their APIs, so names are never split out of
+// joined strings; `authors` stays on results as the author names (snippets are scored on it).
+// Audiobookshelf reads `author` and `narrator` strings, which serializeContributors() writes at
+// the output edge only.
+
+const ROLES = ['author', 'narrator', 'translator', 'editor', 'illustrator'];
+
+// result fields listing one role's names (also the mergePreferences keys of the roles)
+const ROLE_FIELDS = { author: 'authors', narrator: 'narrators', translator: 'translators', editor: 'editors', illustrator: 'illustrators' };
+
+const cleanName = (n) => (typeof n === 'string' ? n : (n && n.name) || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Contributors from name lists per role, in role order and without duplicates.
+ * @param byRole {{author?: Array<string|{name: string}>, narrator?: Array, translator?: Array, editor?: Array, illustrator?: Array}}
+ * @returns {{name: string, role: string}[]}
+ */
+function contributorsFrom(byRole = {}) {
+  const out = [];
+  for (const role of ROLES) {
+    for (const raw of [].concat(byRole[role] || [])) {
+      const name = cleanName(raw);
+      if (name && !out.some(c => c.role === role && c.name.toLowerCase() === name.toLowerCase())) out.push({ name, role });
+    }
+  }
+  return out;
+}
+
+// "A, B" strings from remote providers and plugins that send no contributors; " and " is no separator
+const splitLegacy = (s) => (typeof s === 'string' ? s.split(/\s*[,;]\s*/) : []);
+
+/**
+ * A result's contributors: its `contributors`, with roles they leave out taken from the role
+ * fields (`authors`, `narrators`, ...) or the legacy `author` / `narrator` strings.
+ * @returns {{name: string, role: string}[]}
+ */
+function contributorsOf(item) {
+  if (!item) return [];
+  const byRole = {};
+  for (const c of Array.isArray(item.contributors) ? item.contributors : []) {
+    if (c && ROLES.includes(c.role)) (byRole[c.role] = byRole[c.role] || []).push(c.name);
+  }
+  for (const role of ROLES) {
+    if (byRole[role]) continue;
+    const list = item[ROLE_FIELDS[role]];
+    if (Array.isArray(list)) byRole[role] = list;
+    else if (role === 'author') byRole[role] = splitLegacy(item.author);
+    else if (role === 'narrator') byRole[role] = splitLegacy(item.narrator);
+  }
+  return contributorsFrom(byRole);
+}
+
+/**
+ * Names of one role.
+ * @param item {object} result
+ * @param role {string} one of ROLES
+ */
+function namesOf(item, role) {
+  return contributorsOf(item).filter(c => c.role === role).map(c => c.name);
+}
+
+/**
+ * Output edge: normalized `contributors`, a name list per role (`authors` always, `narrators`,
+ * `translators`, ... when the role has names) and the `author` and `narrator` strings
+ * Audiobookshelf reads.
+ * @param item {object} modified in place
+ */
+function serializeContributors(item) {
+  const contributors = contributorsOf(item);
+  const names = (role) => contributors.filter(c => c.role === role).map(c => c.name);
+  item.contributors = contributors;
+  for (const role of ROLES) {
+    const list = names(role);
+    if (list.length || role === 'author') item[ROLE_FIELDS[role]] = list;
+    else delete item[ROLE_FIELDS[role]];
+  }
+  item.author = item.authors.length ? item.authors.join(', ') : undefined;
+  item.narrator = item.narrators ? item.narrators.join(', ') : undefined;
+  return item;
+}
+
+module.exports = { ROLES, ROLE_FIELDS, contributorsFrom, contributorsOf, namesOf, serializeContributors };
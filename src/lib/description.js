@@ -0,0 +1,63 @@
+// Opt-in description enrichment (global.descriptionTemplate). Providers return the description
+// as the site has it and the other values as structured fields; a template puts them together:
+//   "{description}\n\nLiczba stron: {pages}\nTłumacz: {translators}"
+// `{field}` is the result's field: lists are joined with ", ", dates are written as YYYY-MM-DD
+// and series as "Name #sequence". Role lists ({authors}, {narrators}, {translators}, {editors},
+// {illustrators}) are read from the contributors. A template line with a placeholder that has no
+// value is left out.
+
+const { ROLE_FIELDS, namesOf } = require('./contributors');
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+const ISO_DATE = /^(\d{4}-\d{2}-\d{2})T/;
+const FIELD_ROLES = Object.fromEntries(Object.entries(ROLE_FIELDS).map(([role, field]) => [field, role]));
+
+function formatValue(value) {
+  if (value === undefined || value === null || value === '') return '';
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? '' : value.toISOString().slice(0, 10);
+  if (Array.isArray(value)) return value.map(formatValue).filter(Boolean).join(', ');
+  if (typeof value === 'object') {
+    if (value.series) return value.sequence ? `${value.series} #${value.sequence}` : String(value.series);
+    return value.name ? String(value.name) : '';
+  }
+  const text = String(value).trim();
+  // dates read back from the cache file are ISO strings
+  const date = text.match(ISO_DATE);
+  return date ? date[1] : text;
+}
+
+/**
+ * Render a description template for one result.
+ * @param template {string}
+ * @param item {object} result with the fields the template names
+ * @returns {string}
+ */
+function renderDescription(template, item) {
+  const lines = String(template).split('\n').map(line => {
+    let missing = false;
+    const out = line.replace(PLACEHOLDER, (_, field) => {
+      const value = formatValue(FIELD_ROLES[field] ? namesOf(item, FIELD_ROLES[field]) : item[field]);
+      if (!value) missing = true;
+      return value;
+    });
+    return missing ? null : out;
+  }).filter(line => line !== null);
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Replace the description of each result (and of merged results' alternatives) by the rendered
+ * template; a blank template leaves the results as they are.
+ * @param results {object[]} modified in place
+ * @param template {string|undefined}
+ */
+function applyDescriptionTemplate(results, template) {
+  if (typeof template !== 'string' || !template.trim()) return;
+  for (const item of results) {
+    if (!item) continue;
+    item.description = renderDescription(template, item);
+    if (Array.isArray(item.alternatives)) applyDescriptionTemplate(item.alternatives, template);
+  }
+}
+
+module.exports = { renderDescription, applyDescriptionTemplate, formatValue };
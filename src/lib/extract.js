@@ -0,0 +1,195 @@
+// Declarative extraction for the HTML providers (rules from src/lib/rules.js).
+// A field rule is { from: [source, ...], multiple?, post?: [step, ...] }. Sources are tried in
+// order until one yields a value:
+//   { selector }            elements matching a CSS selector (inside the search item, or the page)
+//   { label: [synonyms] }   the value next to a label ("Głosy", "Interpret"), found through the
+//                           page's label layouts; labelMatch "contains" also matches part of the
+//                           label text or its title attribute
+//   neither                 the search item element itself
+// plus `attr` (name or fallback list; default text), `html`, `first` (first element only) and
+// `links` (the texts of links inside, when there are any). `multiple` returns one value per
+// element. Post steps are processor names or [name, ...args], see POST_PROCESSORS.
+
+function hasValue(v) {
+  if (v === undefined || v === null || v === '') return false;
+  if (typeof v === 'number') return !Number.isNaN(v);
+  if (Array.isArray(v)) return v.length > 0;
+  return true;
+}
+
+/**
+ * Parse Audioteka-style durations: "12 godz. 5 min", "12 hodin 32 minut", "45 min".
+ * @returns {number|undefined} minutes
+ */
+function parseDuration(durationStr) {
+  const matches = durationStr.match(/^(?:(\d+)\s+[^\d\s]+)?\s*(?:(\d+)\s+[^\d\s]+)$/);
+  if (!matches) {
+    if (durationStr.trim()) console.warn(`Could not parse duration string: "${durationStr}"`);
+    return undefined;
+  }
+  const hours = matches[1] ? parseInt(matches[1], 10) : 0;
+  const minutes = matches[2] ? parseInt(matches[2], 10) : 0;
+  return (hours * 60) + minutes;
+}
+
+// string processors also apply to each item of a list
+const strings = (fn) => (v, ...args) => {
+  if (Array.isArray(v)) return v.map(x => (typeof x === 'string' ? fn(x, ...args) : x)).filter(hasValue);
+  return typeof v === 'string' ? fn(v, ...args) : v;
+};
+
+const POST_PROCESSORS = {
+  trim: strings(s => s.trim()),
+  // "/pl/audiobook/x" -> "https://audioteka.com/pl/audiobook/x"
+  absoluteUrl: strings((s, ctx) => (s.startsWith('/') && ctx.baseUrl ? ctx.baseUrl + s : s)),
+  stripQuery: strings(s => s.split('?')[0]),
+  // first candidate of a srcset, without its width/density descriptor
+  firstSrcset: strings(s => s.split(',')[0].trim().split(/\s+/)[0]),
+  number: strings((s) => {
+    const n = parseFloat(s.replace(',', '.'));
+    return Number.isFinite(n) ? n : null;
+  }),
+  integer: strings((s) => {
+    const n = parseInt(s, 10);
+    return Number.isFinite(n) ? n : null;
+  }),
+  divide: (v, ctx, by) => (typeof v === 'number' ? v / by : v),
+  durationMinutes: strings(parseDuration),
+  date: strings((s) => {
+    const d = new Date(s);
+    return Number.isNaN(d.getTime()) ? null : d;
+  }),
+  split: (v, ctx, separator = ',') => [].concat(v).flatMap(s => String(s).split(separator)).map(s => s.trim()).filter(Boolean),
+  join: (v, ctx, separator = ', ') => (Array.isArray(v) ? v.join(separator) : v),
+  first: (v) => (Array.isArray(v) ? v[0] : v),
+  // case-insensitive lookup table; values without an entry are kept
+  map: strings((s, ctx, table = {}) => {
+    const key = Object.keys(table).find(k => k.toLowerCase() === s.toLowerCase());
+    return key ? table[key] : s;
+  }),
+  replace: strings((s, ctx, pattern, replacement = '', flags = '') => s.replace(new RegExp(pattern, flags), replacement).trim()),
+  // capture group of a regular expression, null without a match
+  match: strings((s, ctx, pattern, group = 1) => {
+    const m = s.match(new RegExp(pattern));
+    return m ? m[group] : null;
+  }),
+  sanitizeHtml: strings(s => s
+    .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
+    .replace(/<iframe\b[^<]*(?:(?!<\/iframe>)<[^<]*)*<\/iframe>/gi, '')),
+  stripHtml: strings(s => s.replace(/<[^>]*>/g, '')),
+  // "Otakar BrousekJan Hyhlík" (names rendered without a separator) -> "Otakar Brousek, Jan Hyhlík"
+  splitRunTogetherNames: strings((s) => {
+    if (s.includes(',') || !/\p{Lu}\p{Ll}+\p{Lu}/u.test(s)) return s;
+    return s.replace(/(\p{Ll})(\p{Lu})/gu, '$1, $2');
+  }),
+  // literal "ł" escapes some pages leave in titles
+  unescapeUnicode: strings(s => s.replace(/\\u([0-9a-fA-F]{4})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))))
+};
+
+const normalizeLabel = (s) => String(s || '').replace(/\s+/g, ' ').trim().replace(/\s*:$/, '').toLowerCase();
+
+/**
+ * Label/value pairs of a page, in layout order. A layout is a row with label and value cells
+ * ({ row, label, value }) or a label followed by its value element ({ label, next }).
+ */
+function labelIndex($, layouts = []) {
+  const entries = [];
+  for (const layout of layouts) {
+    if (layout.row) {
+      $(layout.row).each((i, row) => {
+        const $label = $(row).find(layout.label).first();
+        if (!$label.length) return;
+        entries.push({ text: normalizeLabel($label.text()), title: normalizeLabel($label.attr('title')), $value: $(row).find(layout.value).first() });
+      });
+    } else {
+      $(layout.label).each((i, el) => {
+        entries.push({ text: normalizeLabel($(el).text()), title: normalizeLabel($(el).attr('title')), $value: $(el).next(layout.next) });
+      });
+    }
+  }
+  return entries;
+}
+
+function findLabelled(entries, synonyms, labelMatch) {
+  const wanted = synonyms.map(normalizeLabel);
+  const matches = labelMatch === 'contains'
+    ? (e) => wanted.some(w => e.text.includes(w) || e.title.includes(w))
+    : (e) => wanted.some(w => e.text === w || e.title === w);
+  const hit = entries.find(e => e.$value.length && matches(e));
+  return hit ? hit.$value : null;
+}
+
+function sourceElements($, $root, source, ctx) {
+  let $els;
+  if (source.label) {
+    ctx.labels = ctx.labels || labelIndex($, ctx.layouts);
+    $els = findLabelled(ctx.labels, source.label, source.labelMatch);
+    if (!$els) return null;
+    if (source.selector) $els = $els.find(source.selector);
+  } else if (source.selector) {
+    $els = $root.find(source.selector);
+  } else {
+    $els = $root;
+  }
+  if (source.first) $els = $els.first();
+  if (source.links) {
+    const $links = $els.find('a');
+    if ($links.length) $els = $links;
+  }
+  return $els.length ? $els : null;
+}
+
+function readValue($els, source) {
+  if (source.attr) {
+    for (const name of [].concat(source.attr)) {
+      const v = $els.attr(name);
+      if (v && v.trim()) return v.trim();
+    }
+    return undefined;
+  }
+  if (source.html) return $els.html();
+  return $els.text().trim();
+}
+
+function applyPost(value, steps = [], ctx) {
+  let out = value;
+  for (const step of steps) {
+    const [name, ...args] = [].concat(step);
+    out = POST_PROCESSORS[name](out, ctx, ...args);
+    if (!hasValue(out)) return out;
+  }
+  return out;
+}
+
+/**
+ * Extract one field; undefined when no source yields a value.
+ * @param $ cheerio document
+ * @param $root search item element, or $.root() for the page
+ * @param rule {{from: object[], multiple?: boolean, post?: Array}}
+ * @param ctx {{baseUrl?: string, layouts?: object[]}} label lookups are cached on it per page
+ */
+function extractField($, $root, rule, ctx = {}) {
+  for (const source of rule.from) {
+    const $els = sourceElements($, $root, source, ctx);
+    if (!$els) continue;
+    const raw = rule.multiple ? $els.map((i, el) => readValue($(el), source)).get().filter(hasValue) : readValue($els, source);
+    if (!hasValue(raw)) continue;
+    const value = applyPost(raw, rule.post, ctx);
+    if (hasValue(value)) return value;
+  }
+  return undefined;
+}
+
+/**
+ * Extract every field of a rule map; fields without a value are left out.
+ */
+function extractFields($, $root, fields = {}, ctx = {}) {
+  const out = {};
+  for (const [name, rule] of Object.entries(fields)) {
+    const value = extractField($, $root, rule, ctx);
+    if (value !== undefined) out[name] = value;
+  }
+  return out;
+}
+
+module.exports = { extractField, extractFields, labelIndex, parseDuration, POST_PROCESSORS };
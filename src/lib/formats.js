@@ -0,0 +1,52 @@
+// Formats a result can be in. Providers set `type` to one of FORMATS; what the sites call them
+// ("Audiobook", "Audiokniha", "Słuchowisko", "e-book", Audible's "PodcastEpisode") is mapped
+// by formatOf(). `?format=` / global.formats keep only some formats, and global.formatPreference
+// orders equally similar results by format.
+
+const FORMATS = ['audiobook', 'ebook', 'print', 'radio-drama', 'podcast-episode'];
+
+// formats that are listened to (global.allowAudiobooks); the others are read (global.allowBooks)
+const AUDIO_FORMATS = ['audiobook', 'radio-drama', 'podcast-episode'];
+
+// default global.formatPreference: audio first, as Audiobookshelf is mostly used for audiobooks
+const DEFAULT_FORMAT_PREFERENCE = ['audiobook', 'radio-drama', 'podcast-episode', 'ebook', 'print'];
+
+// site wording (lowercased, without diacritics) -> format; checked in order
+const SYNONYMS = [
+  [/s[lł]uchowisk|audio ?drama|radio ?drama|rozhlasov|radio\/tv|performance/, 'radio-drama'],
+  [/podcast/, 'podcast-episode'],
+  [/audio ?book|audiokni|^(single|multi)partbook$/, 'audiobook'],
+  [/e-?book|e-?kni/, 'ebook'],
+  [/^book$|print|paper|papier|ksiazk|^kniha|hardcover/, 'print']
+];
+
+const fold = (s) => String(s || '').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Format for a provider's wording of it.
+ * @param value {string} e.g. "Audiobook", "Słuchowisko", "e-book", "book"
+ * @returns {string} one of FORMATS, '' when unknown
+ */
+function formatOf(value) {
+  const text = fold(value);
+  if (!text) return '';
+  if (FORMATS.includes(text)) return text;
+  const hit = SYNONYMS.find(([pattern]) => pattern.test(text));
+  return hit ? hit[1] : '';
+}
+
+/**
+ * Formats of a `format=` value or a config list.
+ * @param value {string|string[]|undefined} "audiobook,radio-drama" or ['audiobook']
+ * @returns {{formats: string[], invalid: string[]}}
+ */
+function parseFormats(value) {
+  const list = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(v => String(v).trim().toLowerCase()).filter(Boolean);
+  return {
+    formats: [...new Set(list.filter(f => FORMATS.includes(f)))],
+    invalid: list.filter(f => !FORMATS.includes(f))
+  };
+}
+
+module.exports = { FORMATS, AUDIO_FORMATS, DEFAULT_FORMAT_PREFERENCE, formatOf, parseFormats };
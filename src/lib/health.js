@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const { runWithTimeout, TimeoutError } = require('./scheduler');
+const { serializeContributors } = require('./contributors');
+
+// Provider health monitoring. Scrapers fail quietly when a site changes its markup (searchBooks
+// just returns no matches), so the backbone runs canary searches on a schedule: each canary
+// searches a known book, fetches the first match's details and checks that the fields we rely
+// on came back. The last `historySize` runs per provider are kept and written to
+// <config volume>/data/health.json.
+
+const DEFAULT_DATA_DIR = path.resolve(__dirname, '..', 'config', 'data');
+const DEFAULT_FIELDS = ['title', 'cover'];
+const DEFAULT_HISTORY = 50;
+// a provider whose recent runs fail this often is degraded even if the last one passed
+const DEGRADED_ERROR_RATE = 0.5;
+const RECENT_RUNS = 10;
+
+function hasValue(v) {
+  if (v === undefined || v === null || v === '') return false;
+  if (typeof v === 'number') return !Number.isNaN(v);
+  if (Array.isArray(v)) return v.length > 0;
+  if (typeof v === 'object') return Object.keys(v).length > 0;
+  return true;
+}
+
+const round = (n, digits = 3) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+/**
+ * Canary settings for one provider from config (providers.<name>.health).
+ * Fields to check: canary `fields`, then health.fields, then the provider class's healthFields.
+ * @returns {{canaries: object[], fields: string[], timeoutMs: number, lang: string|undefined}}
+ */
+function healthSettings(providerCfg, ProviderClass) {
+  const health = (providerCfg && providerCfg.health) || {};
+  return {
+    canaries: Array.isArray(health.canaries) ? health.canaries : [],
+    fields: health.fields || (ProviderClass && ProviderClass.healthFields) || DEFAULT_FIELDS,
+    timeoutMs: (providerCfg && providerCfg.timeoutMs) || 10000,
+    lang: (providerCfg && providerCfg.language) || undefined
+  };
+}
+
+/**
+ * Run one canary: search, fetch details for the first match, check the expected fields.
+ * A run is 'ok', 'partial' (details came back without some fields) or 'failed'.
+ * @param instance provider instance
+ * @param canary {{query: string, author?: string, lang?: string, fields?: string[]}}
+ * @param settings {{fields: string[], timeoutMs: number, lang?: string}}
+ */
+async function runCanary(instance, canary, settings) {
+  const fields = canary.fields || settings.fields;
+  const started = Date.now();
+  const run = { at: new Date(started).toISOString(), query: canary.query, status: 'failed', latencyMs: null, matches: 0 };
+  try {
+    const lang = canary.lang || settings.lang;
+    const found = await runWithTimeout(
+      (signal) => instance.searchBooks(canary.query, canary.author || '', lang, { signal, requestId: 'health' }),
+      settings.timeoutMs
+    );
+    const matches = (found && found.matches) || [];
+    run.matches = matches.length;
+    if (!matches.length) throw new Error('no matches');
+    const full = typeof instance.getFullMetadata === 'function'
+      ? await runWithTimeout((signal) => instance.getFullMetadata(matches[0], { signal, requestId: 'health' }), settings.timeoutMs)
+      : matches[0];
+    if (!full) throw new Error('no details for the first match');
+    // fields are checked as the backbone returns them (`author` / `narrator` strings included)
+    const output = serializeContributors({ ...full });
+    run.fields = {};
+    for (const f of fields) run.fields[f] = hasValue(output[f]);
+    const missing = fields.filter(f => !run.fields[f]);
+    run.status = missing.length ? 'partial' : 'ok';
+    if (missing.length) run.missing = missing;
+  } catch (err) {
+    run.error = err instanceof TimeoutError ? `timed out after ${err.timeoutMs}ms` : (err && err.message) || String(err);
+  }
+  run.latencyMs = Date.now() - started;
+  return run;
+}
+
+class HealthMonitor {
+  /**
+   * @param options {{file?: string|null, historySize?: number}} file null keeps history in memory only
+   */
+  constructor(options = {}) {
+    this.file = options.file === null ? null : (options.file || path.join(process.env.DATA_DIR || DEFAULT_DATA_DIR, 'health.json'));
+    this.historySize = options.historySize || DEFAULT_HISTORY;
+    this.history = {};
+    this.running = null;
+    this.lastCheckAt = null;
+    this.load();
+  }
+
+  /**
+   * Run the configured canaries of every provider. Overlapping calls share the same run.
+   * @param providers {{name: string, instance: object, ProviderClass: Function}[]}
+   * @param config backbone config (providers.<name>.health holds the canaries)
+   * @param only {string} optional provider name
+   */
+  checkAll(providers, config, only) {
+    if (this.running) return this.running;
+    this.running = (async () => {
+      for (const p of providers) {
+        if (only && p.name !== only) continue;
+        const settings = healthSettings(config.providers && config.providers[p.name], p.ProviderClass);
+        for (const canary of settings.canaries) {
+          if (!canary || !canary.query) continue;
+          this.record(p.name, await runCanary(p.instance, canary, settings));
+        }
+      }
+      this.lastCheckAt = new Date().toISOString();
+      this.save();
+    })().finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  record(name, run) {
+    const before = this.status(name);
+    const runs = this.history[name] = this.history[name] || [];
+    runs.push(run);
+    if (runs.length > this.historySize) runs.splice(0, runs.length - this.historySize);
+    const after = this.status(name);
+    const detail = run.error || (run.missing ? `missing ${run.missing.join(', ')}` : `${run.matches} matches`);
+    if (after !== before) console.warn(`[health] ${name}: ${before} -> ${after} (canary "${run.query}": ${detail})`);
+    else console.log(`[health] ${name}: ${run.status} in ${run.latencyMs}ms (canary "${run.query}": ${detail})`);
+  }
+
+  /**
+   * Judged on the latest run of each canary: 'down' when all of them failed, 'degraded' when any
+   * failed or lacked fields or recent runs failed too often, 'unknown' without runs, else 'healthy'.
+   */
+  status(name) {
+    const runs = this.history[name] || [];
+    if (!runs.length) return 'unknown';
+    const recent = runs.slice(-RECENT_RUNS);
+    const latest = new Map();
+    for (const r of recent) latest.set(r.query, r);
+    const last = Array.from(latest.values());
+    if (last.every(r => r.status === 'failed')) return 'down';
+    const failed = recent.filter(r => r.status === 'failed').length;
+    if (last.some(r => r.status !== 'ok') || failed / recent.length >= DEGRADED_ERROR_RATE) return 'degraded';
+    return 'healthy';
+  }
+
+  providerSummary(name) {
+    const runs = this.history[name] || [];
+    const completed = runs.filter(r => r.status !== 'failed');
+    const latencies = completed.map(r => r.latencyMs).sort((a, b) => a - b);
+    const coverage = {};
+    const withDetails = runs.filter(r => r.fields);
+    for (const r of withDetails) {
+      for (const [field, present] of Object.entries(r.fields)) {
+        coverage[field] = coverage[field] || { present: 0, runs: 0 };
+        coverage[field].runs++;
+        if (present) coverage[field].present++;
+      }
+    }
+    const lastOk = [...runs].reverse().find(r => r.status === 'ok');
+    return {
+      status: this.status(name),
+      runs: runs.length,
+      lastRun: runs.length ? runs[runs.length - 1] : null,
+      lastSuccess: lastOk ? lastOk.at : null,
+      errorRate: runs.length ? round(runs.filter(r => r.status === 'failed').length / runs.length) : null,
+      latencyMs: completed.length ? {
+        last: completed[completed.length - 1].latencyMs,
+        avg: Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length),
+        p95: latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))]
+      } : null,
+      fieldCoverage: Object.fromEntries(Object.entries(coverage).map(([f, c]) => [f, round(c.present / c.runs)])),
+      history: runs.map(r => ({ at: r.at, query: r.query, status: r.status, latencyMs: r.latencyMs, fields: r.fields, missing: r.missing, error: r.error }))
+    };
+  }
+
+  summary() {
+    const providers = {};
+    for (const name of Object.keys(this.history)) providers[name] = this.providerSummary(name);
+    return { running: !!this.running, lastCheckAt: this.lastCheckAt, providers };
+  }
+
+  load() {
+    if (!this.file) return;
+    try {
+      if (!fs.existsSync(this.file)) return;
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.history = data.history || {};
+      this.lastCheckAt = data.lastCheckAt || null;
+    } catch (err) {
+      console.error('[health] could not load health file:', err && err.message ? err.message : err);
+    }
+  }
+
+  save() {
+    if (!this.file) return;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ version: 1, lastCheckAt: this.lastCheckAt, history: this.history }), 'utf8');
+      fs.renameSync(tmp, this.file);
+    } catch (err) {
+      console.error('[health] could not write health file:', err && err.message ? err.message : err);
+    }
+  }
+}
+
+module.exports = { HealthMonitor, runCanary, healthSettings, DEFAULT_FIELDS };
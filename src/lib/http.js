@@ -0,0 +1,131 @@
+const axios = require('axios');
+
+// Shared HTTP client used by every provider.js.
+// - applies the provider's timeoutMs to each request
+// - retries transient failures (429 / 5xx / network resets) with jittered exponential backoff
+// - honors Retry-After on 429 and 503 responses
+// - sets per-host User-Agent and Accept-Language unless the caller passes its own headers
+
+const BROWSER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/117.0.0.0 Safari/537.36';
+
+const DEFAULT_RETRY = {
+  retries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 10000,
+  retryOnStatus: [429, 502, 503, 504]
+};
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) return reject(signal.reason || new Error('aborted'));
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason || new Error('aborted'));
+  };
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds.
+ * @param value {string|undefined}
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with "equal jitter": half fixed, half random.
+ * @param attempt {number} 1-based retry attempt
+ * @param policy {{baseDelayMs: number, maxDelayMs: number}}
+ * @returns {number}
+ */
+function backoffDelay(attempt, policy) {
+  const exp = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(exp / 2 + Math.random() * (exp / 2));
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return '';
+  }
+}
+
+function findHostHeaders(hostHeaders, host) {
+  if (!host || !hostHeaders) return null;
+  if (hostHeaders[host]) return hostHeaders[host];
+  // allow "storytel.com" to match "www.storytel.com"
+  const key = Object.keys(hostHeaders).find(h => host === h || host.endsWith(`.${h}`));
+  return key ? hostHeaders[key] : null;
+}
+
+/**
+ * Create an axios instance configured for a provider.
+ * @param options {{timeoutMs?: number, retry?: object, hostHeaders?: Object<string, object>, name?: string}}
+ * @returns {import('axios').AxiosInstance}
+ */
+function createHttpClient(options = {}) {
+  const policy = { ...DEFAULT_RETRY, ...(options.retry || {}) };
+  const label = options.name || 'http';
+  const client = axios.create({ timeout: options.timeoutMs || 10000 });
+
+  client.interceptors.request.use((config) => {
+    const defaults = findHostHeaders(options.hostHeaders, hostOf(config.url)) || {};
+    // explicit per-request headers win over the host defaults
+    for (const [name, value] of Object.entries(defaults)) {
+      if (!config.headers.has(name)) config.headers.set(name, value);
+    }
+    if (!config.headers.has('User-Agent')) config.headers.set('User-Agent', BROWSER_UA);
+    return config;
+  });
+
+  client.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const { config, response } = error;
+      if (!config || axios.isCancel(error) || (config.signal && config.signal.aborted)) throw error;
+
+      const status = response && response.status;
+      const retryable = status
+        ? policy.retryOnStatus.includes(status)
+        : RETRYABLE_CODES.includes(error.code);
+      config._retryCount = config._retryCount || 0;
+      if (!retryable || config._retryCount >= policy.retries) {
+        if (retryable) console.error(`[${label}] Max retries (${policy.retries}) exceeded for ${config.url}`);
+        throw error;
+      }
+
+      config._retryCount++;
+      let delayMs = backoffDelay(config._retryCount, policy);
+      if (status === 429 || status === 503) {
+        const retryAfter = parseRetryAfter(response.headers && response.headers['retry-after']);
+        if (retryAfter !== null) {
+          if (retryAfter > policy.maxDelayMs) {
+            console.error(`[${label}] Retry-After ${Math.round(retryAfter / 1000)}s exceeds maxDelayMs for ${config.url}`);
+            throw error;
+          }
+          delayMs = retryAfter;
+        }
+      }
+      console.log(`[${label}] ${status || error.code} — retry ${config._retryCount}/${policy.retries} after ${delayMs}ms: ${config.url}`);
+      await sleep(delayMs, config.signal);
+      return client.request(config);
+    }
+  );
+
+  return client;
+}
+
+module.exports = { createHttpClient, parseRetryAfter, backoffDelay, DEFAULT_RETRY, BROWSER_UA };
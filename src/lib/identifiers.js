@@ -0,0 +1,60 @@
+// Book identifiers (ISBN, ASIN): normalization and lookup on provider results.
+// Providers advertise which types they can resolve via `module.exports.identifierTypes`
+// and implement `searchByIdentifier(type, value, locale, options)`.
+
+const IDENTIFIER_TYPES = ['isbn', 'asin'];
+
+function isbn10To13(isbn10) {
+  const core = `978${isbn10.slice(0, 9)}`;
+  let sum = 0;
+  for (let i = 0; i < 12; i++) sum += Number(core[i]) * (i % 2 ? 3 : 1);
+  return `${core}${(10 - (sum % 10)) % 10}`;
+}
+
+/**
+ * Normalize an ISBN to its 13-digit form (hyphens/spaces removed). Returns '' when not an ISBN.
+ */
+function normalizeIsbn(value) {
+  const raw = (value || '').toString().replace(/[\s-]/g, '').toUpperCase();
+  if (/^\d{13}$/.test(raw)) return raw;
+  if (/^\d{9}[\dX]$/.test(raw)) return isbn10To13(raw);
+  return '';
+}
+
+/**
+ * Normalize an Amazon ASIN (10 alphanumerics, upper case). Returns '' when not an ASIN.
+ */
+function normalizeAsin(value) {
+  const raw = (value || '').toString().trim().toUpperCase();
+  return /^[A-Z0-9]{10}$/.test(raw) ? raw : '';
+}
+
+function normalizeIdentifier(type, value) {
+  if (type === 'isbn') return normalizeIsbn(value);
+  if (type === 'asin') return normalizeAsin(value);
+  return '';
+}
+
+/**
+ * Read an identifier from a result: top-level field (`isbn`, `asin`) or `identifiers[type]`.
+ * @returns {string} normalized value or ''
+ */
+function identifierOf(item, type) {
+  if (!item) return '';
+  const value = item[type] || (item.identifiers && item.identifiers[type]);
+  return normalizeIdentifier(type, value);
+}
+
+/**
+ * Identifier lookup requested on /search (?isbn= or ?asin=).
+ * @returns {{type: string, value: string, raw: string}|null}
+ */
+function identifierQuery(query) {
+  for (const type of IDENTIFIER_TYPES) {
+    const raw = query && typeof query[type] === 'string' ? query[type].trim() : '';
+    if (raw) return { type, value: normalizeIdentifier(type, raw), raw };
+  }
+  return null;
+}
+
+module.exports = { IDENTIFIER_TYPES, normalizeIsbn, normalizeAsin, normalizeIdentifier, identifierOf, identifierQuery };
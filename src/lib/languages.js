@@ -0,0 +1,100 @@
+// Language codes. Results carry languages as ISO 639-1 codes ("pl", "cs"), whatever the provider
+// reported: names in English or as the sites write them ("Polish", "polski", "čeština") and
+// three-letter codes ("pol", "cze"/"ces") all map to the same code. Config and requests use
+// two-letter codes too ("cz" for Czech as in Audioteka's URLs is accepted); Open Library keys
+// editions by MARC language codes ("/languages/pol"). The backbone writes the codes in the
+// configured style (global.languageStyle) when a response is sent.
+
+// ISO 639-1 -> [ISO 639-2/B (MARC), ISO 639-2/T, English name, other names the sites use]
+const LANGUAGES = {
+  pl: ['pol', 'pol', 'Polish', ['polski', 'polština']],
+  en: ['eng', 'eng', 'English', ['angielski', 'angličtina']],
+  de: ['ger', 'deu', 'German', ['niemiecki', 'deutsch', 'němčina']],
+  fr: ['fre', 'fra', 'French', ['francuski', 'français', 'francouzština']],
+  cs: ['cze', 'ces', 'Czech', ['czeski', 'čeština', 'cestina']],
+  sk: ['slo', 'slk', 'Slovak', ['słowacki', 'slovenčina', 'slovenština']],
+  es: ['spa', 'spa', 'Spanish', ['hiszpański', 'español', 'španělština']],
+  it: ['ita', 'ita', 'Italian', ['włoski', 'italiano', 'italština']],
+  ru: ['rus', 'rus', 'Russian', ['rosyjski', 'ruština']],
+  uk: ['ukr', 'ukr', 'Ukrainian', ['ukraiński', 'ukrajinština']],
+  ja: ['jpn', 'jpn', 'Japanese', ['japoński']],
+  sv: ['swe', 'swe', 'Swedish', ['szwedzki', 'svenska']],
+  da: ['dan', 'dan', 'Danish', ['duński', 'dansk']],
+  fi: ['fin', 'fin', 'Finnish', ['fiński', 'suomi']],
+  nl: ['dut', 'nld', 'Dutch', ['niderlandzki', 'holenderski', 'nederlands']],
+  pt: ['por', 'por', 'Portuguese', ['portugalski', 'português']],
+  is: ['ice', 'isl', 'Icelandic', ['islandzki', 'íslenska']],
+  bg: ['bul', 'bul', 'Bulgarian', ['bułgarski', 'български']],
+  ar: ['ara', 'ara', 'Arabic', ['arabski']],
+  he: ['heb', 'heb', 'Hebrew', ['hebrajski']],
+  hi: ['hin', 'hin', 'Hindi', []],
+  tr: ['tur', 'tur', 'Turkish', ['turecki']],
+  no: ['nor', 'nor', 'Norwegian', ['norweski', 'norsk']]
+};
+
+// output styles of global.languageStyle; codes by default, as Storytel (and most ABS metadata) sent them
+const LANGUAGE_STYLES = ['iso639-1', 'iso639-2', 'name'];
+const DEFAULT_LANGUAGE_STYLE = 'iso639-1';
+
+// every known spelling -> ISO 639-1
+const LOOKUP = new Map([['cz', 'cs']]);
+for (const [code, [bibliographic, terminology, name, names]] of Object.entries(LANGUAGES)) {
+  for (const key of [code, bibliographic, terminology, name, ...names]) LOOKUP.set(key.toLowerCase(), code);
+}
+
+/**
+ * Two-letter code (ISO 639-1) for a language code or name.
+ * @param code {string} e.g. "pl", "cz", "pol", "Polish", "polski"; "pl-PL" and "pl_PL" too
+ * @returns {string} '' when unknown
+ */
+function twoLetterCode(code) {
+  const raw = String(code || '').trim().toLowerCase();
+  return LOOKUP.get(raw) || LOOKUP.get(raw.split(/[-_]/)[0]) || '';
+}
+
+/**
+ * Three-letter bibliographic code (MARC / ISO 639-2/B) for a language code.
+ * @returns {string} '' when unknown
+ */
+function bibliographicCode(code) {
+  const two = twoLetterCode(code);
+  return two ? LANGUAGES[two][0] : '';
+}
+
+/**
+ * ISO 639-1 codes of a result's languages, without duplicates; unknown values are kept as given.
+ * @param values {string[]|string|undefined}
+ * @returns {string[]}
+ */
+function languageCodes(values) {
+  const codes = [].concat(values || [])
+    .filter(v => typeof v === 'string' && v.trim())
+    .map(v => twoLetterCode(v) || v.trim());
+  return [...new Set(codes)];
+}
+
+/**
+ * ISO 639-1 codes of a result (its `languages`, else its `language`), so "polish" and "pol"
+ * from two providers are one language.
+ * @param item {object}
+ * @returns {string[]}
+ */
+function languagesOf(item) {
+  if (!item) return [];
+  return languageCodes(Array.isArray(item.languages) && item.languages.length ? item.languages : item.language);
+}
+
+/**
+ * A language in one of LANGUAGE_STYLES: "pl", "pol" or "Polish". Unknown values are returned as given.
+ * @param value {string} code or name
+ * @param style {string}
+ */
+function formatLanguage(value, style = DEFAULT_LANGUAGE_STYLE) {
+  const two = twoLetterCode(value);
+  if (!two) return value;
+  if (style === 'iso639-1') return two;
+  if (style === 'iso639-2') return LANGUAGES[two][0];
+  return LANGUAGES[two][2];
+}
+
+module.exports = { LANGUAGE_STYLES, DEFAULT_LANGUAGE_STYLE, twoLetterCode, bibliographicCode, languageCodes, languagesOf, formatLanguage };
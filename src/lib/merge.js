@@ -0,0 +1,269 @@
+const { ROLES, ROLE_FIELDS, namesOf } = require('./contributors');
+const { languagesOf } = require('./languages');
+const { formatOf } = require('./formats');
+
+// Merge engine for "merge best results": combines several provider results for the same book
+// (a cluster from src/lib/cluster.js) into one, field by field. Each field has a default
+// strategy; `global.mergePreferences` can override it per field with a provider name (prefer
+// that provider), a strategy name, or { strategy, provider }. Every merged field records where
+// it came from in `_mergedFieldSources`. Contributors are merged per role (authors, narrator,
+// translators, editors, illustrators), each role being one field.
+
+const STRATEGIES = ['prefer', 'first', 'longest', 'union', 'majority', 'mostRecent'];
+
+// Fields counted when ordering a group (more metadata wins among equal priorities)
+const RICHNESS_FIELDS = ['title', 'authors', 'contributors', 'narrator', 'description', 'cover', 'type', 'url', 'id', 'languages', 'publisher', 'publishedDate', 'series', 'genres', 'tags', 'identifiers'];
+
+const foldKey = (v) => (typeof v === 'string' ? v.trim().toLowerCase() : JSON.stringify(v));
+
+function hasValue(v) {
+  if (v === undefined || v === null || v === '') return false;
+  if (typeof v === 'number') return !Number.isNaN(v);
+  if (Array.isArray(v)) return v.length > 0;
+  if (typeof v === 'object') return Object.keys(v).length > 0;
+  return true;
+}
+
+function yearOf(item) {
+  if (item.publishedDate) {
+    const y = new Date(item.publishedDate).getFullYear();
+    if (y && !Number.isNaN(y)) return y.toString();
+  }
+  return item.publishedYear ? item.publishedYear.toString() : undefined;
+}
+
+// Sort key for mostRecent: publication date, else 1 January of the year
+function recency(item) {
+  const date = item.publishedDate ? Date.parse(item.publishedDate) : NaN;
+  if (!Number.isNaN(date)) return date;
+  const year = parseInt(item.publishedYear, 10);
+  return Number.isFinite(year) ? Date.UTC(year, 0, 1) : -Infinity;
+}
+
+/**
+ * Provider series in one shape: [{ series, sequence }]. Accepts the ABS array shape,
+ * plain strings, or a string `series` plus `seriesIndex` (Lubimyczytac).
+ */
+function seriesOf(item) {
+  const raw = item.series;
+  if (!hasValue(raw)) return [];
+  const list = Array.isArray(raw) ? raw : [raw];
+  return list.map(s => {
+    if (s && typeof s === 'object') {
+      return { series: s.series || s.name || '', sequence: hasValue(s.sequence) ? String(s.sequence) : undefined };
+    }
+    const sequence = hasValue(item.seriesIndex) && !Array.isArray(raw) ? String(item.seriesIndex) : undefined;
+    return { series: String(s || ''), sequence };
+  }).filter(s => s.series);
+}
+
+const identifier = (key) => (item) => (item.identifiers && item.identifiers[key]) || item[key];
+
+// kind: 'scalar' (single value), 'list' (array, union dedupes) or 'object' (union by key)
+const FIELDS = [
+  { name: 'title', kind: 'scalar', empty: '' },
+  { name: 'subtitle', kind: 'scalar', empty: '' },
+  { name: 'originalTitle', kind: 'scalar' },
+  { name: 'authors', kind: 'list', strategy: 'first', get: (i) => namesOf(i, 'author'), empty: [] },
+  { name: 'description', kind: 'scalar', empty: '' },
+  { name: 'cover', kind: 'scalar', empty: null },
+  { name: 'type', kind: 'scalar', get: (i) => formatOf(i.type) || i.type },
+  { name: 'id', kind: 'scalar', get: (i) => i.id || (i.identifiers && (i.identifiers.lubimyczytac || i.identifiers.audioteka)), empty: '' },
+  { name: 'url', kind: 'scalar', empty: '' },
+  { name: 'source', kind: 'scalar', empty: null },
+  { name: 'languages', kind: 'list', strategy: 'union', get: languagesOf, empty: [] },
+  { name: 'publishedDate', kind: 'scalar' },
+  { name: 'publishedYear', kind: 'scalar', get: yearOf },
+  { name: 'firstPublishedDate', kind: 'scalar' },
+  { name: 'editionPublishedDate', kind: 'scalar' },
+  { name: 'pages', kind: 'scalar' },
+  { name: 'publisher', kind: 'scalar', empty: '' },
+  { name: 'rating', kind: 'scalar', empty: null },
+  { name: 'series', kind: 'list', strategy: 'first', get: seriesOf, key: (s) => foldKey(s.series) },
+  { name: 'isbn', kind: 'scalar', get: identifier('isbn') },
+  { name: 'asin', kind: 'scalar', get: identifier('asin') },
+  { name: 'duration', kind: 'scalar' },
+  { name: 'language', kind: 'scalar', get: (i) => languagesOf(i)[0] },
+  { name: 'genres', kind: 'list', strategy: 'union', empty: [] },
+  { name: 'tags', kind: 'list', strategy: 'union', empty: [] },
+  { name: 'identifiers', kind: 'object', strategy: 'union', empty: {} }
+];
+
+// One list field per contributor role other than author (merged as `authors` above); the
+// narrator role keeps its historical preference key
+const ROLE_MERGE_FIELDS = ROLES.filter(r => r !== 'author').map(role => ({
+  name: role === 'narrator' ? 'narrator' : ROLE_FIELDS[role],
+  role,
+  kind: 'list',
+  strategy: 'first',
+  get: (i) => namesOf(i, role)
+}));
+
+/**
+ * Normalize a mergePreferences entry: provider name, strategy name or { strategy, provider }.
+ * @returns {{strategy: string|null, provider: string|null}}
+ */
+function resolvePreference(pref) {
+  if (!pref) return { strategy: null, provider: null };
+  if (typeof pref === 'string') {
+    return STRATEGIES.includes(pref) && pref !== 'prefer' ? { strategy: pref, provider: null } : { strategy: 'prefer', provider: pref };
+  }
+  if (typeof pref === 'object') {
+    const strategy = STRATEGIES.includes(pref.strategy) ? pref.strategy : null;
+    return { strategy: strategy || (pref.provider ? 'prefer' : null), provider: pref.provider || null };
+  }
+  return { strategy: null, provider: null };
+}
+
+/**
+ * Order a group: provider priority first, then the richer result.
+ */
+function sortGroup(items) {
+  const richness = (item) => RICHNESS_FIELDS.filter(f => hasValue(item[f])).length;
+  return items.slice().sort((a, b) => {
+    const pa = typeof a._providerPriority === 'number' ? a._providerPriority : 0;
+    const pb = typeof b._providerPriority === 'number' ? b._providerPriority : 0;
+    if (pb !== pa) return pb - pa;
+    return richness(b) - richness(a);
+  });
+}
+
+function unionList(candidates, keyOf) {
+  const seen = new Set();
+  const value = [];
+  const sources = [];
+  for (const { item, value: list } of candidates) {
+    let added = false;
+    for (const v of list) {
+      const k = keyOf(v);
+      if (seen.has(k)) continue;
+      seen.add(k);
+      value.push(v);
+      added = true;
+    }
+    if (added && !sources.includes(item._provider)) sources.push(item._provider);
+  }
+  return { value, source: sources };
+}
+
+function unionObject(candidates) {
+  const value = {};
+  const sources = [];
+  for (const { item, value: obj } of candidates) {
+    let added = false;
+    for (const [k, v] of Object.entries(obj)) {
+      if (hasValue(v) && !hasValue(value[k])) {
+        value[k] = v;
+        added = true;
+      }
+    }
+    if (added && !sources.includes(item._provider)) sources.push(item._provider);
+  }
+  return { value, source: sources };
+}
+
+const size = (v) => {
+  if (typeof v === 'string') return v.trim().length;
+  if (Array.isArray(v)) return v.length;
+  if (v && typeof v === 'object') return Object.keys(v).length;
+  return 0;
+};
+
+/**
+ * Apply one strategy to the candidates ([{ item, value }], already in group order).
+ * @returns {{value: *, source: string|string[]|null}}
+ */
+function applyStrategy(strategy, field, candidates, provider) {
+  const pick = (c) => (c ? { value: c.value, source: c.item._provider } : { value: undefined, source: null });
+  switch (strategy) {
+    case 'prefer': {
+      const preferred = candidates.filter(c => c.item._provider === provider);
+      if (!preferred.length) return null;
+      // objects still take missing keys from the others, preferred provider first
+      if (field.kind === 'object') return unionObject([...preferred, ...candidates.filter(c => !preferred.includes(c))]);
+      return pick(preferred[0]);
+    }
+    case 'longest': {
+      let best = null;
+      for (const c of candidates) if (!best || size(c.value) > size(best.value)) best = c;
+      return pick(best);
+    }
+    case 'union':
+      if (field.kind === 'list') return unionList(candidates, field.key || foldKey);
+      if (field.kind === 'object') return unionObject(candidates);
+      return pick(candidates[0]);
+    case 'majority': {
+      const counts = new Map();
+      for (const c of candidates) {
+        const k = foldKey(c.value);
+        const entry = counts.get(k) || { count: 0, first: c };
+        entry.count++;
+        counts.set(k, entry);
+      }
+      let best = null;
+      // Map keeps insertion order, so ties go to the earlier (higher priority) candidate
+      for (const entry of counts.values()) if (!best || entry.count > best.count) best = entry;
+      return pick(best && best.first);
+    }
+    case 'mostRecent': {
+      let best = null;
+      for (const c of candidates) if (!best || recency(c.item) > recency(best.item)) best = c;
+      return pick(best);
+    }
+    case 'first':
+    default:
+      return pick(candidates[0]);
+  }
+}
+
+/**
+ * Merge one group of results (same book, different providers).
+ * @param items {object[]} provider results tagged with `_provider` / `_providerPriority`
+ * @param options {{preferences?: object}}
+ * @returns {object} merged result with `_mergedFieldSources` and `_mergedFrom`
+ */
+function mergeGroup(items, options = {}) {
+  const prefs = options.preferences || {};
+  const group = sortGroup(items);
+  const merged = {};
+  const sources = {};
+
+  for (const field of [...FIELDS, ...ROLE_MERGE_FIELDS]) {
+    const get = field.get || ((item) => item[field.name]);
+    const candidates = group.map(item => ({ item, value: get(item) })).filter(c => hasValue(c.value));
+    const pref = resolvePreference(prefs[field.name]);
+    let picked = null;
+    if (candidates.length) {
+      if (pref.strategy === 'prefer') picked = applyStrategy('prefer', field, candidates, pref.provider);
+      else if (pref.strategy) picked = applyStrategy(pref.strategy, field, candidates);
+      // an unavailable preferred provider falls back to the field's default strategy
+      if (!picked) picked = applyStrategy(field.strategy || 'first', field, candidates);
+    }
+    merged[field.name] = picked && hasValue(picked.value) ? picked.value : field.empty;
+    if (picked && hasValue(picked.source)) sources[field.name] = picked.source;
+  }
+
+  merged.contributors = [
+    ...merged.authors.map(name => ({ name, role: 'author' })),
+    ...ROLE_MERGE_FIELDS.flatMap(f => (merged[f.name] || []).map(name => ({ name, role: f.role })))
+  ];
+  for (const f of ROLE_MERGE_FIELDS) delete merged[f.name];
+
+  // no member knows the format: leave it unknown, so format filters let the result through
+  if (!merged.type) delete merged.type;
+  // Audiobookshelf reads series as [{ series, sequence }]; seriesIndex is kept for older consumers
+  if (!merged.series || !merged.series.length) merged.series = undefined;
+  const sequence = merged.series && merged.series[0].sequence;
+  merged.seriesIndex = hasValue(sequence) ? (Number.isFinite(Number(sequence)) ? Number(sequence) : sequence) : null;
+  if (sources.series) sources.seriesIndex = sources.series;
+
+  merged._mergedFieldSources = sources;
+  merged._mergedFrom = group.map(i => ({ provider: i._provider, id: i.id || i._id || null }));
+  merged._provider = 'merged';
+  // priority slightly above the highest provider in the group
+  merged._providerPriority = (Math.max(...group.map(i => (typeof i._providerPriority === 'number' ? i._providerPriority : 0))) || 0) + 1;
+  merged.source = merged.source || { id: 'merged', description: 'Merged result' };
+  return merged;
+}
+
+module.exports = { mergeGroup, resolvePreference, seriesOf, STRATEGIES, FIELDS };
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+// Third-party providers dropped into <config volume>/plugins (or PLUGINS_DIR), one directory per
+// plugin with a manifest.json:
+//   { "name": "example", "version": "1.0.0", "description": "...", "main": "provider.js", "apiVersion": 1,
+//     "supportedLanguages": ["en"], "identifierTypes": ["isbn"], "healthFields": [...], "urlPatterns": ["^https://example\\.com/book/"] }
+// `main` exports a provider class like the built-in src/<name>/provider.js; capabilities it does
+// not export itself are taken from the manifest. A plugin is enabled and configured under
+// providers.<name> like a built-in; built-in names cannot be taken by plugins.
+
+const SRC_DIR = path.resolve(__dirname, '..');
+const DEFAULT_PLUGINS_DIR = path.join(SRC_DIR, 'config', 'plugins');
+const PLUGIN_API_VERSION = 1;
+const CAPABILITY_KEYS = ['supportedLanguages', 'identifierTypes', 'healthFields', 'urlPatterns'];
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const MANIFEST_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', pattern: '^[a-zA-Z0-9_-]+$' },
+    version: { type: 'string' },
+    description: { type: 'string' },
+    main: { type: 'string', minLength: 1 },
+    apiVersion: { type: 'integer', minimum: 1 },
+    supportedLanguages: stringList,
+    identifierTypes: stringList,
+    healthFields: stringList,
+    urlPatterns: stringList
+  },
+  required: ['name'],
+  additionalProperties: true
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateManifest = ajv.compile(MANIFEST_SCHEMA);
+
+const pluginsDir = () => process.env.PLUGINS_DIR || DEFAULT_PLUGINS_DIR;
+const isBuiltin = (name) => fs.existsSync(path.join(SRC_DIR, name, 'provider.js'));
+
+/**
+ * Read one plugin directory's manifest.
+ * @returns {{name: string, dir: string, manifest: object|null, error: string|null}}
+ */
+function readPlugin(dir) {
+  const entry = { name: path.basename(dir), dir, manifest: null, error: null };
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+    if (!validateManifest(manifest)) throw new Error('invalid manifest: ' + ajv.errorsText(validateManifest.errors));
+    if ((manifest.apiVersion || 1) > PLUGIN_API_VERSION) throw new Error(`needs plugin API ${manifest.apiVersion}, this backbone provides ${PLUGIN_API_VERSION}`);
+    if (isBuiltin(manifest.name)) throw new Error(`name "${manifest.name}" is taken by a built-in provider`);
+    entry.name = manifest.name;
+    entry.manifest = manifest;
+  } catch (err) {
+    entry.error = err.message;
+  }
+  return entry;
+}
+
+/**
+ * Every plugin directory with a manifest.json, valid or not.
+ */
+function listPlugins() {
+  const dir = pluginsDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(d => d.isDirectory() && fs.existsSync(path.join(dir, d.name, 'manifest.json')))
+    .map(d => readPlugin(path.join(dir, d.name)));
+}
+
+/**
+ * Provider class of a plugin, or null when no plugin has this name.
+ * @throws {Error} when the plugin exists but is invalid or fails to load
+ */
+function loadPlugin(name) {
+  const plugin = listPlugins().find(p => p.name === name);
+  if (!plugin) return null;
+  if (plugin.error) throw new Error(`plugin ${name}: ${plugin.error}`);
+  const { manifest } = plugin;
+  // eslint-disable-next-line import/no-dynamic-require
+  const ProviderClass = require(path.resolve(plugin.dir, manifest.main || 'provider.js'));
+  if (typeof ProviderClass !== 'function') throw new Error(`plugin ${name}: ${manifest.main || 'provider.js'} does not export a provider class`);
+  for (const key of CAPABILITY_KEYS) {
+    if (ProviderClass[key] !== undefined || !manifest[key]) continue;
+    ProviderClass[key] = key === 'urlPatterns' ? manifest[key].map(p => new RegExp(p, 'i')) : manifest[key];
+  }
+  ProviderClass.plugin = { name, version: manifest.version, description: manifest.description, dir: plugin.dir };
+  return ProviderClass;
+}
+
+module.exports = { listPlugins, loadPlugin, pluginsDir, PLUGIN_API_VERSION };
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { createHttpClient } = require('./http');
+const { remoteProviderClass } = require('./remote');
+const { listPlugins, loadPlugin } = require('./plugins');
+
+// Provider loading for the backbone. A providers.<name> config entry is, in this order:
+//   remote   - it has a `remote.url` (see src/lib/remote.js for the protocol)
+//   builtin  - src/<name>/provider.js
+//   plugin   - a plugin directory whose manifest names it (see src/lib/plugins.js)
+
+const SRC_DIR = path.resolve(__dirname, '..');
+
+// Second constructor argument for plugins, which cannot require the backbone's modules by path
+const PLUGIN_HOST = { createHttpClient, cheerio };
+
+// primary: results are returned on their own; enrichment: results only add fields to merged
+// results that contain a primary provider's result (see clusterResults)
+const ROLES = ['primary', 'enrichment'];
+
+/**
+ * Role of a provider: providers.<name>.role, else the class's `defaultRole`, else primary.
+ */
+function roleOf(opts, ProviderClass) {
+  const role = (opts && opts.role) || (ProviderClass && ProviderClass.defaultRole);
+  return ROLES.includes(role) ? role : 'primary';
+}
+
+/**
+ * @returns {{ProviderClass: Function, kind: 'remote'|'builtin'|'plugin'}}
+ * @throws {Error} when nothing provides this name
+ */
+function resolveProvider(name, opts = {}) {
+  if (opts.remote && opts.remote.url) return { ProviderClass: remoteProviderClass(name, opts.remote), kind: 'remote' };
+  const builtin = path.join(SRC_DIR, name, 'provider.js');
+  // eslint-disable-next-line import/no-dynamic-require
+  if (fs.existsSync(builtin)) return { ProviderClass: require(builtin), kind: 'builtin' };
+  const ProviderClass = loadPlugin(name);
+  if (ProviderClass) return { ProviderClass, kind: 'plugin' };
+  throw new Error(`no built-in provider, plugin or remote.url for "${name}"`);
+}
+
+/**
+ * Instantiate the provider for one config entry. Remote providers fetch their /meta in the background.
+ * @returns {{name: string, instance: object, opts: object, ProviderClass: Function, kind: string, role: string}}
+ */
+function createProvider(name, opts = {}) {
+  const { ProviderClass, kind } = resolveProvider(name, opts);
+  const instance = kind === 'plugin' ? new ProviderClass(opts, PLUGIN_HOST) : new ProviderClass(opts);
+  if (kind === 'remote') instance.refreshMeta();
+  return { name, instance, opts, ProviderClass, kind, role: roleOf(opts, ProviderClass) };
+}
+
+function capabilitiesOf(Cls, instance) {
+  const has = (fn) => !!instance && typeof instance[fn] === 'function';
+  return {
+    search: has('searchBooks'),
+    details: has('getFullMetadata'),
+    identifiers: has('searchByIdentifier') && (Cls.identifierTypes || []).length > 0,
+    itemLookup: has('itemSnippet') || (Cls.urlPatterns || []).length > 0
+  };
+}
+
+/**
+ * Entry of /admin/providers/meta for a loaded provider.
+ * @param p {{name: string, instance: object, ProviderClass: Function, kind?: string}}
+ */
+function describeProvider(p) {
+  const Cls = p.ProviderClass || {};
+  const out = {
+    name: p.name,
+    kind: p.kind || 'builtin',
+    role: p.role || roleOf(p.opts, Cls),
+    enabled: true,
+    supportedLanguages: Cls.supportedLanguages || [],
+    identifierTypes: Cls.identifierTypes || [],
+    healthFields: Cls.healthFields || [],
+    urlPatterns: (Cls.urlPatterns || []).map(re => re.source),
+    capabilities: capabilitiesOf(Cls, p.instance)
+  };
+  if (out.kind === 'remote') Object.assign(out, { url: p.instance.baseUrl, remote: Cls.remoteMeta || null });
+  if (out.kind === 'plugin') out.plugin = Cls.plugin;
+  return out;
+}
+
+/**
+ * Meta entries for plugins that are not running (disabled, not configured yet, or broken).
+ * @param loadedNames {string[]} providers already described by describeProvider
+ * @param cfg backbone config
+ */
+function describeIdlePlugins(loadedNames, cfg) {
+  return listPlugins().filter(pl => !loadedNames.includes(pl.name)).map((pl) => {
+    const manifest = pl.manifest || {};
+    return {
+      name: pl.name,
+      kind: 'plugin',
+      role: 'primary',
+      enabled: false,
+      configured: !!(cfg && cfg.providers && cfg.providers[pl.name]),
+      supportedLanguages: manifest.supportedLanguages || [],
+      identifierTypes: manifest.identifierTypes || [],
+      healthFields: manifest.healthFields || [],
+      urlPatterns: manifest.urlPatterns || [],
+      plugin: { name: pl.name, version: manifest.version, description: manifest.description, dir: pl.dir },
+      error: pl.error
+    };
+  });
+}
+
+module.exports = { createProvider, resolveProvider, describeProvider, describeIdlePlugins, roleOf, ROLES, PLUGIN_HOST };
@@ -0,0 +1,204 @@
+const express = require('express');
+const { createHttpClient } = require('./http');
+
+// Remote providers: a provider running as its own HTTP service, configured in config.json with
+// providers.<name>.remote.url. Protocol (version 1), relative to that URL:
+//   GET  /meta                             -> { protocol, name, version?, supportedLanguages, identifierTypes, healthFields, urlPatterns: [regex source] }
+//   GET  /search?query=&author=&lang=      -> { matches: [snippet] }
+//   POST /details  { match, lang }         -> { match: fullMetadata } (404 or { match: null } when the item is gone;
+//                                             400 when match.url does not match urlPatterns)
+//   GET  /identifier?type=&value=&lang=    -> { matches: [snippet] }   (only for the declared identifierTypes)
+// Matches use the same shape as built-in providers' searchBooks/getFullMetadata output.
+// remoteRouter() serves this protocol for a local provider instance, so the per-provider
+// server.js wrappers expose it under /remote.
+
+const PROTOCOL_VERSION = 1;
+const CAPABILITY_KEYS = ['supportedLanguages', 'identifierTypes', 'healthFields', 'urlPatterns'];
+
+const toPattern = (p) => (p instanceof RegExp ? p : new RegExp(p, 'i'));
+
+// ABS-shaped results (the legacy /search of the wrappers) carry `author` as a string
+function normalizeMatch(match, source) {
+  if (!match || typeof match !== 'object') return null;
+  const out = { ...match };
+  if (!Array.isArray(out.authors) && typeof out.author === 'string') out.authors = out.author.split(',').map(a => a.trim()).filter(Boolean);
+  if (!out.source) out.source = source;
+  return out;
+}
+
+class RemoteProvider {
+  /**
+   * @param options provider config: { remote: { url, headers?, supportedLanguages?, ... }, timeoutMs?, retry?, language? }
+   */
+  constructor(options = {}) {
+    this.opts = options || {};
+    const remote = this.opts.remote || this.constructor.remote || {};
+    this.id = this.constructor.providerName || 'remote';
+    this.name = this.id;
+    this.baseUrl = String(remote.url || '').replace(/\/+$/, '');
+    this.headers = remote.headers || {};
+    this.language = this.opts.language;
+    this.timeoutMs = this.opts.timeoutMs || 10000;
+    this.http = createHttpClient({ name: this.id, timeoutMs: this.timeoutMs, retry: this.opts.retry });
+    this.source = { id: this.id, description: this.name, link: this.baseUrl };
+  }
+
+  request(method, path, options = {}) {
+    return this.http.request({ method, url: `${this.baseUrl}${path}`, headers: { ...this.headers, Accept: 'application/json' }, ...options });
+  }
+
+  /**
+   * Fetch GET /meta and fill in the capabilities config.json does not set.
+   * @returns {Promise<object|null>} the remote's meta, null when it could not be read
+   */
+  async refreshMeta() {
+    const Cls = this.constructor;
+    try {
+      const { data } = await this.request('get', '/meta');
+      if (!data || typeof data !== 'object') return null;
+      if (data.protocol && data.protocol !== PROTOCOL_VERSION) console.warn(`[${this.id}] remote speaks protocol ${data.protocol}, expected ${PROTOCOL_VERSION}`);
+      for (const key of CAPABILITY_KEYS) {
+        if (Cls.configured.includes(key) || !Array.isArray(data[key])) continue;
+        Cls[key] = key === 'urlPatterns' ? data[key].map(toPattern) : data[key];
+      }
+      Cls.remoteMeta = { name: data.name, version: data.version, protocol: data.protocol, fetchedAt: new Date().toISOString() };
+      return data;
+    } catch (err) {
+      console.error(`[${this.id}] could not read ${this.baseUrl}/meta:`, err.message);
+      return null;
+    }
+  }
+
+  async searchBooks(query, author = '', lang, options = {}) {
+    const requestId = options.requestId || 'req';
+    try {
+      const { data } = await this.request('get', '/search', { params: { query, author, lang: lang || this.language }, signal: options.signal });
+      const matches = (data && Array.isArray(data.matches) ? data.matches : []).map(m => normalizeMatch(m, this.source)).filter(Boolean);
+      return { matches };
+    } catch (error) {
+      console.error(`[${requestId}] ${this.id}: remote search failed:`, error.message);
+      return { matches: [] };
+    }
+  }
+
+  async searchByIdentifier(type, value, lang, options = {}) {
+    if (!(this.constructor.identifierTypes || []).includes(type)) return { matches: [] };
+    try {
+      const { data } = await this.request('get', '/identifier', { params: { type, value, lang: lang || this.language }, signal: options.signal });
+      return { matches: (data && Array.isArray(data.matches) ? data.matches : []).map(m => normalizeMatch(m, this.source)).filter(Boolean) };
+    } catch (error) {
+      console.error(`${this.id}: remote identifier lookup failed:`, error.message);
+      return { matches: [] };
+    }
+  }
+
+  /**
+   * Snippet for /item and pasted links; the remote resolves it in POST /details.
+   */
+  itemSnippet({ id, url, lang } = {}) {
+    if (!id && !url) return null;
+    return { id, url, locale: lang || this.language, source: this.source };
+  }
+
+  async getFullMetadata(match, options = {}) {
+    try {
+      const { data } = await this.request('post', '/details', {
+        data: { match, lang: match.locale || this.language },
+        signal: options.signal,
+        validateStatus: (s) => (s >= 200 && s < 300) || s === 404
+      });
+      if (!data || !data.match) return null;
+      return normalizeMatch({ ...match, ...data.match }, this.source);
+    } catch (error) {
+      console.error(`${this.id}: remote details failed for ${match.title || match.url || match.id}:`, error.message);
+      return match;
+    }
+  }
+}
+
+/**
+ * Provider class for one remote entry. Capabilities set in `remote` win over the remote's /meta.
+ * @param name {string} provider name in config
+ * @param remote {object} providers.<name>.remote
+ */
+function remoteProviderClass(name, remote = {}) {
+  class ConfiguredRemoteProvider extends RemoteProvider {}
+  ConfiguredRemoteProvider.providerName = name;
+  ConfiguredRemoteProvider.remote = remote;
+  ConfiguredRemoteProvider.configured = CAPABILITY_KEYS.filter(k => Array.isArray(remote[k]));
+  ConfiguredRemoteProvider.supportedLanguages = remote.supportedLanguages || [];
+  ConfiguredRemoteProvider.identifierTypes = remote.identifierTypes || [];
+  ConfiguredRemoteProvider.healthFields = remote.healthFields;
+  ConfiguredRemoteProvider.urlPatterns = (remote.urlPatterns || []).map(toPattern);
+  ConfiguredRemoteProvider.remoteMeta = null;
+  return ConfiguredRemoteProvider;
+}
+
+/**
+ * Express router serving the remote provider protocol for a local provider instance.
+ * @param instance provider instance
+ * @param ProviderClass its class (capabilities are read from its exports)
+ */
+function remoteRouter(instance, ProviderClass = instance.constructor) {
+  const router = express.Router();
+  router.use(express.json({ limit: '1mb' }));
+
+  router.get('/meta', (req, res) => {
+    res.json({
+      protocol: PROTOCOL_VERSION,
+      name: instance.id,
+      supportedLanguages: ProviderClass.supportedLanguages || [],
+      identifierTypes: ProviderClass.identifierTypes || [],
+      healthFields: ProviderClass.healthFields || [],
+      urlPatterns: (ProviderClass.urlPatterns || []).map(re => re.source)
+    });
+  });
+
+  router.get('/search', async (req, res) => {
+    const { query, author = '', lang } = req.query;
+    if (!query) return res.status(400).json({ error: 'Query parameter is required' });
+    try {
+      res.json(await instance.searchBooks(query, author, lang || undefined, { requestId: 'remote' }));
+    } catch (error) {
+      console.error('Remote search error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.post('/details', async (req, res) => {
+    const match = req.body && req.body.match;
+    if (!match || typeof match !== 'object') return res.status(400).json({ error: 'match is required' });
+    // only the provider's own links are fetched (urlPatterns), never an arbitrary URL
+    if (match.url && !(ProviderClass.urlPatterns || []).some(re => toPattern(re).test(String(match.url)))) {
+      return res.status(400).json({ error: `not a ${instance.id || 'provider'} link: ${match.url}` });
+    }
+    try {
+      const snippet = !match.title && typeof instance.itemSnippet === 'function'
+        ? (instance.itemSnippet({ id: match.id, url: match.url, lang: req.body.lang }) || match)
+        : match;
+      const full = typeof instance.getFullMetadata === 'function' ? await instance.getFullMetadata(snippet, { requestId: 'remote' }) : snippet;
+      if (!full) return res.status(404).json({ match: null });
+      res.json({ match: full });
+    } catch (error) {
+      console.error('Remote details error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.get('/identifier', async (req, res) => {
+    const { type, value, lang } = req.query;
+    if (!(ProviderClass.identifierTypes || []).includes(type) || typeof instance.searchByIdentifier !== 'function') {
+      return res.status(404).json({ error: `identifier type not supported: ${type}` });
+    }
+    try {
+      res.json(await instance.searchByIdentifier(type, value, lang || undefined, {}));
+    } catch (error) {
+      console.error('Remote identifier error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { RemoteProvider, remoteProviderClass, remoteRouter, PROTOCOL_VERSION };
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { deepMerge } = require('./config');
+const { POST_PROCESSORS } = require('./extract');
+
+// Scraping rules for the HTML providers, one file per provider and language: label layouts and
+// field rules for the search page and the detail page (see src/lib/extract.js for the format).
+// Defaults ship in src/<provider>/rules/<lang>.json. A file of the same name in
+// <config volume>/rules/<provider>/<lang>.json is merged over them, so a changed label or class
+// name can be fixed without a release: objects merge key by key, arrays (sources, post steps,
+// label layouts) replace the default's.
+// Rule sets are validated when loaded; an invalid override is reported and the defaults stay in
+// use. reloadRules() re-reads every file without restarting.
+
+const SRC_DIR = path.resolve(__dirname, '..');
+const DEFAULT_OVERRIDE_DIR = path.join(SRC_DIR, 'config', 'rules');
+
+const source = {
+  type: 'object',
+  properties: {
+    selector: { type: 'string', minLength: 1 },
+    label: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+    labelMatch: { enum: ['exact', 'contains'] },
+    attr: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' }, minItems: 1 }] },
+    html: { type: 'boolean' },
+    first: { type: 'boolean' },
+    links: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+const fieldRule = {
+  type: 'object',
+  properties: {
+    from: { type: 'array', items: source, minItems: 1 },
+    multiple: { type: 'boolean' },
+    post: { type: 'array', items: { anyOf: [{ type: 'string' }, { type: 'array', minItems: 1 }] } }
+  },
+  required: ['from'],
+  additionalProperties: false
+};
+
+const fields = { type: 'object', additionalProperties: fieldRule };
+
+const RULES_SCHEMA = {
+  type: 'object',
+  properties: {
+    labels: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          row: { type: 'string' },
+          label: { type: 'string' },
+          value: { type: 'string' },
+          next: { type: 'string' }
+        },
+        required: ['label'],
+        anyOf: [{ required: ['row', 'value'] }, { required: ['next'] }],
+        additionalProperties: false
+      }
+    },
+    search: {
+      type: 'object',
+      properties: { item: { type: 'string', minLength: 1 }, fields },
+      required: ['item', 'fields'],
+      additionalProperties: false
+    },
+    detail: {
+      type: 'object',
+      properties: {
+        fields,
+        // languages (as written on the page) a detail page may be in; others are rejected
+        acceptLanguages: { type: 'array', items: { type: 'string' } },
+        // regular expressions finding a series name (group 1) and volume (group 2) in a title
+        seriesTitlePatterns: { type: 'array', items: { type: 'string', minLength: 1 } }
+      },
+      required: ['fields'],
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(RULES_SCHEMA);
+
+/**
+ * Check a rule set: schema, post-processor names and regular expressions.
+ * @throws {Error} with `details` listing every problem
+ */
+function validateRules(rules) {
+  if (!validateSchema(rules)) {
+    const err = new Error('Invalid rules: ' + ajv.errorsText(validateSchema.errors));
+    err.details = validateSchema.errors;
+    throw err;
+  }
+  const problems = [];
+  for (const section of ['search', 'detail']) {
+    for (const [name, rule] of Object.entries((rules[section] && rules[section].fields) || {})) {
+      for (const step of rule.post || []) {
+        const [processor, pattern] = [].concat(step);
+        if (!POST_PROCESSORS[processor]) problems.push(`${section}.${name}: unknown post-processor "${processor}"`);
+        else if (processor === 'replace' || processor === 'match') {
+          try {
+            RegExp(pattern);
+          } catch (e) {
+            problems.push(`${section}.${name}: ${e.message}`);
+          }
+        }
+      }
+    }
+  }
+  for (const pattern of (rules.detail && rules.detail.seriesTitlePatterns) || []) {
+    try {
+      RegExp(pattern);
+    } catch (e) {
+      problems.push(`detail.seriesTitlePatterns: ${e.message}`);
+    }
+  }
+  if (problems.length) {
+    const err = new Error('Invalid rules: ' + problems.join('; '));
+    err.details = problems;
+    throw err;
+  }
+  return rules;
+}
+
+const overrideDir = () => process.env.RULES_DIR || DEFAULT_OVERRIDE_DIR;
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+const jsonFiles = (dir) => (fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort() : []);
+
+// "<provider>:<lang>" -> { provider, lang, rules, source, files, error, loadedAt }
+const loaded = new Map();
+
+function loadRuleSet(provider, lang) {
+  const entry = { provider, lang, rules: null, source: null, files: [], error: null, loadedAt: new Date().toISOString() };
+  const defaultFile = path.join(SRC_DIR, provider, 'rules', `${lang}.json`);
+  const overrideFile = path.join(overrideDir(), provider, `${lang}.json`);
+  try {
+    if (fs.existsSync(defaultFile)) {
+      entry.rules = validateRules(readJson(defaultFile));
+      entry.source = 'default';
+      entry.files.push(defaultFile);
+    }
+  } catch (err) {
+    entry.error = `${defaultFile}: ${err.message}`;
+  }
+  if (fs.existsSync(overrideFile)) {
+    try {
+      const override = readJson(overrideFile);
+      entry.rules = validateRules(entry.rules ? deepMerge(entry.rules, override) : override);
+      entry.source = 'override';
+      entry.files.push(overrideFile);
+    } catch (err) {
+      entry.error = `${overrideFile}: ${err.message}`;
+    }
+  }
+  if (entry.error) console.error(`[rules] ${provider} (${lang}): ${entry.error}`);
+  return entry;
+}
+
+/**
+ * Effective rules for a provider and language, loaded on first use.
+ * @throws {Error} when the provider has no usable rules for the language
+ */
+function getRules(provider, lang) {
+  const key = `${provider}:${lang}`;
+  if (!loaded.has(key)) loaded.set(key, loadRuleSet(provider, lang));
+  const entry = loaded.get(key);
+  if (!entry.rules) throw new Error(`no scraping rules for ${provider} (${lang})${entry.error ? `: ${entry.error}` : ''}`);
+  return entry.rules;
+}
+
+// provider/lang pairs that have a default or an override file
+function knownRuleSets() {
+  const pairs = new Map();
+  const add = (provider, file) => pairs.set(`${provider}:${path.basename(file, '.json')}`, { provider, lang: path.basename(file, '.json') });
+  for (const provider of fs.readdirSync(SRC_DIR)) {
+    for (const file of jsonFiles(path.join(SRC_DIR, provider, 'rules'))) add(provider, file);
+  }
+  if (fs.existsSync(overrideDir())) {
+    for (const provider of fs.readdirSync(overrideDir())) {
+      for (const file of jsonFiles(path.join(overrideDir(), provider))) add(provider, file);
+    }
+  }
+  return Array.from(pairs.values());
+}
+
+const describe = ({ rules, ...meta }) => ({ ...meta, fields: rules ? { search: Object.keys((rules.search && rules.search.fields) || {}), detail: Object.keys((rules.detail && rules.detail.fields) || {}) } : null });
+
+/**
+ * Every rule set with where it came from and its load error, if any.
+ */
+function listRules() {
+  for (const { provider, lang } of knownRuleSets()) {
+    const key = `${provider}:${lang}`;
+    if (!loaded.has(key)) loaded.set(key, loadRuleSet(provider, lang));
+  }
+  return Array.from(loaded.values()).map(describe);
+}
+
+/**
+ * Drop the loaded rules and read every rule file again.
+ */
+function reloadRules() {
+  loaded.clear();
+  const list = listRules();
+  console.log(`[rules] loaded ${list.length} rule sets${list.some(r => r.error) ? ' (with errors)' : ''}`);
+  return list;
+}
+
+module.exports = { getRules, listRules, reloadRules, validateRules, RULES_SCHEMA };
@@ -0,0 +1,65 @@
+// Small helpers used by the backbone to bound how many providers run at once
+// and to cancel a provider's work when its timeoutMs budget runs out.
+
+class TimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Timed out after ${timeoutMs}ms`);
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Create a limiter that runs at most `max` async tasks at the same time.
+ * Returns `run(fn)` which queues fn and resolves/rejects with its result.
+ */
+function createLimiter(max) {
+  const limit = Number.isFinite(max) && max > 0 ? max : Infinity;
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= limit || !queue.length) return;
+    const { fn, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return function run(fn) {
+    return new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+  };
+}
+
+/**
+ * Run `fn(signal)` with a time budget. When the budget runs out the signal is
+ * aborted (so in-flight axios requests are cancelled) and the returned promise
+ * rejects with a TimeoutError without waiting for fn to settle.
+ * A missing or non-positive timeoutMs means no budget.
+ */
+function runWithTimeout(fn, timeoutMs) {
+  const controller = new AbortController();
+  if (!Number.isFinite(timeoutMs) || timeoutMs <= 0) {
+    return Promise.resolve().then(() => fn(controller.signal));
+  }
+  let timer = null;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new TimeoutError(timeoutMs);
+      controller.abort(err);
+      reject(err);
+    }, timeoutMs);
+  });
+  const work = Promise.resolve().then(() => fn(controller.signal));
+  return Promise.race([work, expired]).finally(() => clearTimeout(timer));
+}
+
+module.exports = { createLimiter, runWithTimeout, TimeoutError };
@@ -0,0 +1,260 @@
+const stringSimilarity = require('string-similarity');
+
+// Title/author similarity used by the backbone (and providers that pre-rank their own hits).
+// Everything is compared after diacritic folding and normalization, so "Wiedźmin. Tom 1: Ostatnie
+// życzenie" can match "Ostatnie zyczenie" and "Sapkowski, Andrzej" matches "Andrzej Sapkowski".
+
+// Letters that do not decompose under NFD
+const FOLD_MAP = { 'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'ø': 'o', 'Ø': 'O', 'ß': 'ss' };
+
+// Series / volume markers (Polish, Czech, English), e.g. "Tom 3", "cz. 2", "Díl 1", "T.1", "Vol. 4", "#2"
+const VOLUME_MARKERS = [
+  /\(\s*(?:tom|t\.|cz\.|część|czesc|díl|dil|část|cast|vol\.?|volume|book|księga|ksiega|kniha)\s*\d+[^)]*\)/giu,
+  /\b(?:tom|część|czesc|díl|dil|část|cast|volume|book|księga|ksiega|kniha)\s*\d+\b/giu,
+  /(?:^|\s)(?:t|cz|vol)\.\s*\d+\b/giu,
+  /\bt\d+\b/giu,
+  /#\s*\d+\b/gu
+];
+
+// Parts a display title is commonly split into (main title, series name, subtitle)
+const TITLE_PART_SEPARATORS = /\s*(?::|\.\s|\s[-–—]\s|\|)\s*/u;
+
+// Weight applied to partial matches so an exact full-title match still ranks first
+const PART_MATCH_WEIGHT = 0.95;
+// Token matches are further scaled by token coverage, so a title that only shares a few words
+// with the query ("Harry Potter" vs "Harry Potter and the Goblet of Fire") stays a weak match
+const TOKEN_MATCH_WEIGHT = 0.9;
+
+function foldDiacritics(str) {
+  return (str || '')
+    .toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[łŁđĐøØß]/g, ch => FOLD_MAP[ch]);
+}
+
+function stripVolumeMarkers(str) {
+  let out = (str || '').toString();
+  for (const re of VOLUME_MARKERS) out = out.replace(re, ' ');
+  return out;
+}
+
+/**
+ * Lowercase, fold diacritics, drop volume markers and bracketed noise, collapse punctuation.
+ */
+function normalizeText(str) {
+  return foldDiacritics(stripVolumeMarkers(str))
+    .toLowerCase()
+    .replace(/\[.*?\]/g, ' ')
+    .replace(/[^\p{L}\d]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Clean an audiobook file/folder name into a searchable title (bitrate, "czyta ...", "Author - ", brackets).
+ * Quoted queries are taken literally.
+ */
+function cleanFileTitle(query) {
+  let cleaned = (query || '').toString();
+  if (/^".*"$/.test(cleaned)) return cleaned.replace(/^"(.*)"$/, '$1');
+  return cleaned.replace(/(\d+kbps)/g, '')
+    .replace(/\bVBR\b.*$/gi, '')
+    .replace(/^[\w\s.-]+-\s*/g, '')
+    .replace(/czyt.*/gi, '')
+    .replace(/.*-/, '')
+    .replace(/.*?(T[\s.]?\d{1,3}).*?(.*)$/i, '$2')
+    .replace(/.*?(Tom[\s.]?\d{1,3}).*?(.*)$/i, '$2')
+    .replace(/.*?\(\d{1,3}\)\s*/g, '')
+    .replace(/\(.*?\)/g, '')
+    .replace(/\[.*?\]/g, '')
+    .replace(/\(/g, ' ')
+    .replace(/[^\p{L}\d]/gu, ' ')
+    .replace(/\./g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/superprodukcja/i, '')
+    .trim();
+}
+
+function tokens(str) {
+  return normalizeText(str).split(' ').filter(Boolean);
+}
+
+function dice(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  return stringSimilarity.compareTwoStrings(a, b);
+}
+
+/**
+ * Token-set ratio: compares the shared tokens against each side's full token list, so word order
+ * and extra words on one side (series names, subtitles) matter less.
+ */
+function tokenSetSimilarity(a, b) {
+  const ta = new Set(tokens(a));
+  const tb = new Set(tokens(b));
+  if (!ta.size || !tb.size) return 0;
+  const common = [...ta].filter(t => tb.has(t)).sort();
+  if (!common.length) return 0;
+  const onlyA = [...ta].filter(t => !tb.has(t)).sort();
+  const onlyB = [...tb].filter(t => !ta.has(t)).sort();
+  const base = common.join(' ');
+  const withA = [base, ...onlyA].join(' ').trim();
+  const withB = [base, ...onlyB].join(' ').trim();
+  return Math.max(dice(base, withA), dice(base, withB), dice(withA, withB));
+}
+
+/**
+ * Share of the distinct tokens of both strings that they have in common (|A ∩ B| / |A ∪ B|).
+ */
+function tokenCoverage(a, b) {
+  const ta = new Set(tokens(a));
+  const tb = new Set(tokens(b));
+  const union = new Set([...ta, ...tb]);
+  if (!union.size) return 0;
+  return [...ta].filter(t => tb.has(t)).length / union.size;
+}
+
+// Token-set score weighted by coverage: word order is forgiven, missing or extra words are not
+function tokenMatchScore(a, b) {
+  return tokenSetSimilarity(a, b) * tokenCoverage(a, b) * TOKEN_MATCH_WEIGHT;
+}
+
+/**
+ * Split a display title into its main title / series / subtitle parts.
+ */
+function titleParts(title) {
+  return stripVolumeMarkers(title)
+    .split(TITLE_PART_SEPARATORS)
+    .map(normalizeText)
+    .filter(Boolean);
+}
+
+const isVolumeMarker = (part) => /\d/.test(part) && !normalizeText(part);
+
+/**
+ * Parts of a display title that can name the book itself: a series name standing right before a
+ * volume marker is left out ("Wiedźmin. Tom 2: Miecz przeznaczenia" -> ["miecz przeznaczenia"]).
+ */
+function workTitleParts(title) {
+  const raw = (title || '').toString().split(TITLE_PART_SEPARATORS);
+  return raw
+    .filter((part, i) => !isVolumeMarker(part) && !(i + 1 < raw.length && isVolumeMarker(raw[i + 1])))
+    .map(normalizeText)
+    .filter(Boolean);
+}
+
+/**
+ * Volume numbers in a title's volume markers: "Bernard Gross. Tom 2" -> ["2"].
+ */
+function volumeNumbers(str) {
+  const numbers = [];
+  for (const re of VOLUME_MARKERS) {
+    for (const m of (str || '').toString().matchAll(re)) numbers.push(String(Number(m[0].match(/\d+/)[0])));
+  }
+  return [...new Set(numbers)];
+}
+
+/**
+ * Score a candidate title against the query. Returns { score, method }.
+ * method: 'full' (whole title), 'part' (title part / subtitle), 'tokens' (token-set match)
+ */
+function scoreTitle(candidate, query) {
+  const queries = [...new Set([normalizeText(query), normalizeText(cleanFileTitle(query))].filter(Boolean))];
+  const full = normalizeText(candidate);
+  let best = { score: 0, method: 'full' };
+  const consider = (score, method) => {
+    if (score > best.score) best = { score, method };
+  };
+  for (const q of queries) {
+    consider(dice(full, q), 'full');
+    const parts = titleParts(candidate);
+    if (parts.length > 1) {
+      for (const part of parts) consider(dice(part, q) * PART_MATCH_WEIGHT, 'part');
+    }
+    consider(tokenMatchScore(full, q), 'tokens');
+  }
+  return best;
+}
+
+/**
+ * Normalize a person's name: "Sapkowski, Andrzej" -> "andrzej sapkowski".
+ */
+function normalizeName(name) {
+  let n = (name || '').toString().trim();
+  const commaParts = n.split(',').map(s => s.trim()).filter(Boolean);
+  if (commaParts.length === 2) n = `${commaParts[1]} ${commaParts[0]}`;
+  return normalizeText(n);
+}
+
+/**
+ * Score one author name against the queried author. Returns { score, method }.
+ * method: 'exact', 'reordered' (same tokens, different order) or 'tokens'
+ */
+function scoreAuthorName(candidate, query) {
+  const a = normalizeName(candidate);
+  const b = normalizeName(query);
+  if (!a || !b) return { score: 0, method: 'tokens' };
+  const direct = dice(a, b);
+  const sortedA = a.split(' ').sort().join(' ');
+  const sortedB = b.split(' ').sort().join(' ');
+  const reordered = dice(sortedA, sortedB);
+  const tokenSet = tokenMatchScore(a, b);
+  if (direct >= reordered && direct >= tokenSet) return { score: direct, method: 'exact' };
+  if (reordered >= tokenSet) return { score: reordered, method: 'reordered' };
+  return { score: tokenSet, method: 'tokens' };
+}
+
+/**
+ * Best author score across a candidate's authors.
+ */
+function scoreAuthors(authors, query) {
+  let best = { score: 0, method: 'tokens', matched: null };
+  for (const a of authors || []) {
+    const r = scoreAuthorName(a, query);
+    if (r.score > best.score) best = { ...r, matched: a };
+  }
+  return best;
+}
+
+/**
+ * Combined similarity for a match. titleWeight is a fraction (0..1); the author only counts when
+ * both an author query and candidate authors exist.
+ * @returns {{similarity: number, details: object}}
+ */
+function scoreMatch(match, query, author, titleWeight = 0.6) {
+  const title = scoreTitle((match && match.title) || '', query);
+  const details = { title: round(title.score), titleMethod: title.method };
+  let similarity = title.score;
+  const authors = (match && Array.isArray(match.authors)) ? match.authors : [];
+  if (author && authors.length) {
+    const a = scoreAuthors(authors, author);
+    similarity = (title.score * titleWeight) + (a.score * (1 - titleWeight));
+    details.author = round(a.score);
+    details.authorMethod = a.method;
+    details.titleWeight = titleWeight;
+  }
+  details.combined = round(similarity);
+  return { similarity, details };
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+module.exports = {
+  foldDiacritics,
+  stripVolumeMarkers,
+  normalizeText,
+  normalizeName,
+  cleanFileTitle,
+  tokenSetSimilarity,
+  tokenCoverage,
+  titleParts,
+  workTitleParts,
+  volumeNumbers,
+  scoreTitle,
+  scoreAuthorName,
+  scoreAuthors,
+  scoreMatch
+};
@@ -1,7 +1,13 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
-const stringSimilarity = require('string-similarity');
-const NodeCache = require('node-cache');
+const { createHttpClient } = require('../lib/http');
+const { cleanFileTitle, scoreMatch } = require('../lib/scoring');
+const { getRules } = require('../lib/rules');
+const { extractFields } = require('../lib/extract');
+const { contributorsFrom } = require('../lib/contributors');
+const { languageCodes } = require('../lib/languages');
+
+// what a book page shows in place of a missing description
+const NO_DESCRIPTION = 'Ta książka nie posiada jeszcze opisu.';
 
 class LubimyCzytacProvider {
   constructor(options = {}) {
@@ -13,20 +19,21 @@ class LubimyCzytacProvider {
     this.concurrency = this.opts.concurrency || 3;
     this.timeoutMs = this.opts.timeoutMs || 10000;
     this.textDecoder = new TextDecoder('utf-8');
-    this.cache = new NodeCache({ stdTTL: 600 });
+    this.http = createHttpClient({
+      name: this.id,
+      timeoutMs: this.timeoutMs,
+      retry: this.opts.retry,
+      hostHeaders: {
+        'lubimyczytac.pl': { 'Accept-Language': 'pl-PL,pl;q=0.9' }
+      }
+    });
   }
 
   decodeText(text) {
     return this.textDecoder.decode(new TextEncoder().encode(text));
   }
 
-  async searchBooks(query, author = '') {
-    const cacheKey = `${query}-${author}`;
-    const cachedResult = this.cache.get(cacheKey);
-    if (cachedResult) {
-      return cachedResult;
-    }
-
+  async searchBooks(query, author = '', locale, options = {}) {
     try {
       if (!author && query.includes("-")) {
         author = query.split("-")[0].replace(/\./g, " ").trim();
@@ -34,27 +41,7 @@ class LubimyCzytacProvider {
         author = author.split("-")[0].replace(/\./g, " ").trim();
       }
 
-      let cleanedTitle = query;
-      if (!/^".*"$/.test(cleanedTitle)) {
-        cleanedTitle = cleanedTitle.replace(/(\d+kbps)/g, '')
-          .replace(/\bVBR\b.*$/gi, '')
-          .replace(/^[\w\s.-]+-\s*/g, '')
-          .replace(/czyt.*/gi, '')
-          .replace(/.*-/, '')
-          .replace(/.*?(T[\s.]?\d{1,3}).*?(.*)$/i, '$2')
-          .replace(/.*?(Tom[\s.]?\d{1,3}).*?(.*)$/i, '$2')
-          .replace(/.*?\(\d{1,3}\)\s*/g, '')
-          .replace(/\(.*?\)/g, '')
-          .replace(/\[.*?\]/g, '')
-          .replace(/\(/g, ' ')
-          .replace(/[^\p{L}\d]/gu, ' ')
-          .replace(/\./g, ' ')
-          .replace(/\s+/g, ' ')
-          .replace(/superprodukcja/i, '')
-          .trim();
-      } else {
-        cleanedTitle = cleanedTitle.replace(/^"(.*)"$/, '$1');
-      }
+      const cleanedTitle = cleanFileTitle(query);
 
       let booksSearchUrl = `${this.baseUrl}/szukaj/ksiazki?phrase=${encodeURIComponent(cleanedTitle)}`;
       let audiobooksSearchUrl = `${this.baseUrl}/szukaj/audiobooki?phrase=${encodeURIComponent(cleanedTitle)}`;
@@ -63,28 +50,18 @@ class LubimyCzytacProvider {
         audiobooksSearchUrl += `&author=${encodeURIComponent(author)}`;
       }
 
-      const booksResponse = await axios.get(booksSearchUrl, { responseType: 'arraybuffer' });
-      const audiobooksResponse = await axios.get(audiobooksSearchUrl, { responseType: 'arraybuffer' });
+      const requestOpts = { responseType: 'arraybuffer', signal: options.signal };
+      const booksResponse = await this.http.get(booksSearchUrl, requestOpts);
+      const audiobooksResponse = await this.http.get(audiobooksSearchUrl, requestOpts);
 
-      const booksMatches = this.parseSearchResults(booksResponse.data, 'book');
+      const booksMatches = this.parseSearchResults(booksResponse.data, 'print');
       const audiobooksMatches = this.parseSearchResults(audiobooksResponse.data, 'audiobook');
 
       let allMatches = [...booksMatches, ...audiobooksMatches];
 
       allMatches = allMatches.map(match => {
-        const titleSimilarity = stringSimilarity.compareTwoStrings(match.title.toLowerCase(), cleanedTitle.toLowerCase());
-
-        let combinedSimilarity;
-        if (author) {
-          const authorSimilarity = Math.max(...match.authors.map(a =>
-            stringSimilarity.compareTwoStrings(a.toLowerCase(), author.toLowerCase())
-          ));
-          combinedSimilarity = (titleSimilarity * 0.6) + (authorSimilarity * 0.4);
-        } else {
-          combinedSimilarity = titleSimilarity;
-        }
-
-        return { ...match, similarity: combinedSimilarity };
+        const { similarity } = scoreMatch(match, cleanedTitle, author);
+        return { ...match, similarity };
       }).sort((a, b) => {
         if (b.similarity !== a.similarity) return b.similarity - a.similarity;
         const typeValueA = a.type === 'audiobook' ? 1 : 0;
@@ -93,137 +70,121 @@ class LubimyCzytacProvider {
       }).slice(0, 20);
 
       // Return lightweight snippets here. Backbone will decide which items to fetch full
-      // metadata for and call getFullMetadata() only for candidates.
-      const result = { matches: allMatches };
-      this.cache.set(cacheKey, result);
-      return result;
+      // metadata for and call getFullMetadata() only for candidates (the backbone caches both).
+      return { matches: allMatches };
     } catch (error) {
       console.error('Error searching books:', error.message, error.stack);
       return { matches: [] };
     }
   }
 
+  /**
+   * Look up a book by ISBN. Lubimyczytac's search matches ISBNs in the phrase; the backbone checks
+   * the ISBN on the detail page before treating a hit as an identifier match.
+   * @param type {string} identifier type ('isbn')
+   * @param value {string} normalized identifier
+   */
+  async searchByIdentifier(type, value, locale, options = {}) {
+    if (type !== 'isbn') return { matches: [] };
+    try {
+      const requestOpts = { responseType: 'arraybuffer', signal: options.signal };
+      const booksResponse = await this.http.get(`${this.baseUrl}/szukaj/ksiazki?phrase=${encodeURIComponent(value)}`, requestOpts);
+      const audiobooksResponse = await this.http.get(`${this.baseUrl}/szukaj/audiobooki?phrase=${encodeURIComponent(value)}`, requestOpts);
+      const matches = [
+        ...this.parseSearchResults(booksResponse.data, 'print'),
+        ...this.parseSearchResults(audiobooksResponse.data, 'audiobook')
+      ];
+      return { matches };
+    } catch (error) {
+      console.error('Error searching by identifier:', error.message);
+      return { matches: [] };
+    }
+  }
+
+  /**
+   * Build a snippet for a known book page (pasted URL, or the numeric id from /ksiazka/<id>/...).
+   * @param ref {{id?: string, url?: string}}
+   */
+  itemSnippet({ id, url } = {}) {
+    if (!url && id) url = `${this.baseUrl}/ksiazka/${encodeURIComponent(id)}`;
+    if (!url) return null;
+    const path = url.split('?')[0].replace(/\/$/, '');
+    return {
+      id: id || path.split('/').pop(),
+      url,
+      type: /\/audiobook\//.test(path) ? 'audiobook' : 'print',
+      source: {
+        id: this.id,
+        description: this.name,
+        link: this.baseUrl,
+      },
+    };
+  }
+
   parseSearchResults(responseData, type) {
     const decodedData = this.decodeText(responseData);
     const $ = cheerio.load(decodedData);
+    const rules = getRules(this.id, this.language).search;
     const matches = [];
 
-    $('.authorAllBooks__single').each((index, element) => {
-      const $book = $(element);
-      const $bookInfo = $book.find('.authorAllBooks__singleText');
-
-      const title = $bookInfo.find('.authorAllBooks__singleTextTitle').text().trim();
-      const bookUrl = $bookInfo.find('.authorAllBooks__singleTextTitle').attr('href');
-      const authors = $bookInfo.find('a[href*="/autor/"]').map((i, el) => $(el).text().trim()).get();
-
-      if (title && bookUrl) {
-        matches.push({
-          id: bookUrl.split('/').pop(),
-          title: this.decodeUnicode(title),
-          authors: authors.map(author => this.decodeUnicode(author)),
-          url: `${this.baseUrl}${bookUrl}`,
-          type: type,
-          source: {
-            id: this.id,
-            description: this.name,
-            link: this.baseUrl,
-          },
-        });
-      }
+    $(rules.item).each((index, element) => {
+      const fields = extractFields($, $(element), rules.fields);
+      if (!fields.title || !fields.url) return;
+      matches.push({
+        id: fields.url.split('/').pop(),
+        title: fields.title,
+        authors: fields.authors || [],
+        url: `${this.baseUrl}${fields.url}`,
+        type: type,
+        source: {
+          id: this.id,
+          description: this.name,
+          link: this.baseUrl,
+        },
+      });
     });
 
     return matches;
   }
 
-  async getFullMetadata(match) {
+  async getFullMetadata(match, options = {}) {
     try {
-      const response = await axios.get(match.url, { responseType: 'arraybuffer' });
+      const response = await this.http.get(match.url, { responseType: 'arraybuffer', signal: options.signal });
       const decodedData = this.decodeText(response.data);
       const $ = cheerio.load(decodedData);
 
-      const cover = $('.book-cover a').attr('data-cover') ||
-              $('.book-cover source').attr('srcset') ||
-              $('.book-cover img').attr('src') ||
-              $('meta[property="og:image"]').attr('content') || '';
-      // Robust publisher extraction: the page may show publisher in different places
-      let publisher = '';
-      try {
-        // 1) standard dt/dd label
-        publisher = $('dt').filter((i, el) => $(el).text().toLowerCase().includes('wydawnictwo')).next('dd').find('a').text().trim() || '';
-        // 2) inline span blocks used on some pages
-        if (!publisher) publisher = $('span.book__txt').filter((i, el) => $(el).text().toLowerCase().includes('wydawnictwo')).find('a').text().trim() || '';
-        // 3) direct anchor links to wydawnictwo pages
-        if (!publisher) publisher = $('a[href*="/wydawnictwo/"]').first().text().trim() || '';
-        // 4) generic 'Wydawnictwo:' text followed by an <a> anywhere nearby
-        if (!publisher) {
-          const lbl = $('*:contains("Wydawnictwo")').filter((i, el) => $(el).text().toLowerCase().includes('wydawnictwo')).first();
-          if (lbl && lbl.length) {
-            const a = $(lbl).find('a').first();
-            if (a && a.length) publisher = a.text().trim();
-            else {
-              const following = $(lbl).nextAll('a').first();
-              if (following && following.length) publisher = following.text().trim();
-            }
-          }
-        }
-      } catch (e) {
-        publisher = '';
-      }
-      const languages = $('dt:contains("Język:")').next('dd').text().trim().split(', ') || [];
-      const description = $('.collapse-content').html() || $('meta[property="og:description"]').attr('content') || '';
-      const seriesElement = $('span.d-none.d-sm-block.mt-1:contains("Cykl:")').find('a').text().trim();
-      const series = this.extractSeriesName(seriesElement);
-      const seriesIndex = this.extractSeriesIndex(seriesElement);
-      const genres = this.extractGenres($);
-      const tags = this.extractTags($);
-      const rating = parseFloat($('meta[property="books:rating:value"]').attr('content')) / 2 || null;
-      const isbn = $('meta[property="books:isbn"]').attr('content') || '';
-
-      let publishedDate, pages;
-      try {
-        publishedDate = this.extractPublishedDate($);
-        pages = this.extractPages($);
-      } catch (error) {
-        console.error('Error extracting published date or pages:', error.message);
-      }
-
-      const translator = this.extractTranslator($);
-      // Try to extract narrator/lector info (Polish pages use 'Czyta' or similar)
-      let narrator = '';
-      try {
-        narrator = $('dt:contains("Czyta")').next('dd').text().trim() || '';
-        if (!narrator) {
-          // look for product-detail-item label patterns
-          const narrDiv = $('.product-detail-item').filter(function() {
-            const lbl = $(this).find('.label').text().trim();
-            return /Czyta|Czytają|Czytał|Czytała/i.test(lbl);
-          }).find('.value');
-          if (narrDiv && narrDiv.length) {
-            narrator = narrDiv.text().trim();
-          }
-        }
-      } catch (err) {
-        narrator = '';
-      }
+      const rules = getRules(this.id, this.language);
+      const page = extractFields($, $.root(), rules.detail.fields, { baseUrl: this.baseUrl, layouts: rules.labels });
+      const series = this.parseSeries(page.series);
+      const firstSequence = series.length ? Number(series[0].sequence) : NaN;
 
       const fullMetadata = {
         ...match,
-        cover,
-        description: this.enrichDescription(description, pages, publishedDate, translator),
-        narrator: narrator || undefined,
-        languages: languages.map(lang => this.getLanguageName(lang)),
-        publisher: publisher || undefined,
-        publishedDate,
-        rating,
+        cover: page.cover || '',
+        description: this.cleanDescription(page.description || ''),
+        narrators: page.narrators || [],
+        translators: page.translators || [],
+        originalTitle: page.originalTitle || undefined,
+        languages: languageCodes(page.languages),
+        publisher: page.publisher,
+        publishedDate: page.publishedDate || null,
+        firstPublishedDate: page.firstPublishedDate || null,
+        editionPublishedDate: page.editionPublishedDate || null,
+        pages: page.pages || this.extractPages($),
+        rating: page.rating || null,
         series,
-        seriesIndex,
-        genres,
-        tags,
+        seriesIndex: Number.isFinite(firstSequence) ? firstSequence : null,
+        genres: page.genres || [],
+        tags: page.tags || [],
         identifiers: {
-          isbn,
+          isbn: page.isbn || '',
           lubimyczytac: match.id,
         },
       };
+      // direct item lookups start from a bare snippet without title/authors
+      if (!fullMetadata.title) {
+        fullMetadata.title = this.decodeUnicode($('h1').first().text().trim() || $('meta[property="og:title"]').attr('content') || '');
+      }
 
       // Try to extract additional metadata from JSON-LD scripts when some fields are missing
       try {
@@ -237,6 +198,10 @@ class LubimyCzytacProvider {
             if (Array.isArray(data)) candidates.push(...data);
             else candidates.push(data);
             for (const node of candidates) {
+              if (!(fullMetadata.authors && fullMetadata.authors.length) && node.author) {
+                const people = Array.isArray(node.author) ? node.author : [node.author];
+                fullMetadata.authors = people.map(a => (typeof a === 'string' ? a : a && a.name) || '').map(a => a.trim()).filter(Boolean);
+              }
               if (!fullMetadata.subtitle) {
                 const sub = node.alternativeHeadline || node.headline || node.subtitle || node.alternateName;
                 if (sub && typeof sub === 'string' && sub.trim()) fullMetadata.subtitle = sub.trim();
@@ -257,29 +222,18 @@ class LubimyCzytacProvider {
         // ignore
       }
 
+      fullMetadata.contributors = contributorsFrom({
+        author: fullMetadata.authors,
+        narrator: fullMetadata.narrators,
+        translator: fullMetadata.translators
+      });
       return fullMetadata;
     } catch (error) {
-      console.error(`Error fetching full metadata for ${match.title}:`, error.message, error.stack);
+      console.error(`Error fetching full metadata for ${match.title || match.url}:`, error.message, error.stack);
       return match;
     }
   }
 
-  extractSeriesName(seriesElement) {
-    if (!seriesElement) return null;
-    return seriesElement.replace(/\s*\(tom \d+.*?\)\s*$/, '').trim();
-  }
-
-  extractSeriesIndex(seriesElement) {
-    if (!seriesElement) return null;
-    const match = seriesElement.match(/\(tom (\d+)/);
-    return match ? parseInt(match[1]) : null;
-  }
-
-  extractPublishedDate($) {
-    const dateText = $('dt[title*="Data pierwszego wydania"]').next('dd').text().trim();
-    return dateText ? new Date(dateText) : null;
-  }
-
   extractPages($) {
     try {
       const scripts = $('script[type="application/ld+json"]');
@@ -311,51 +265,29 @@ class LubimyCzytacProvider {
     return null;
   }
 
-  extractTranslator($) {
-    return $('dt:contains("Tłumacz:")').next('dd').find('a').text().trim() || null;
-  }
-
-  extractGenres($) {
-    const genreText = $('.book__category.d-sm-block.d-none').text().trim();
-    return genreText ? genreText.split(',').map(genre => genre.trim()) : [];
-  }
-
-  extractTags($) {
-    return $('a[href*="/ksiazki/t/"]').map((i, el) => $(el).text().trim()).get() || [];
-  }
-
-  stripHtmlTags(html) {
-    return html.replace(/<[^>]*>/g, '');
-  }
-
-  enrichDescription(description, pages, publishedDate, translator) {
-    let enrichedDescription = this.stripHtmlTags(description);
-
-    if (enrichedDescription === "Ta książka nie posiada jeszcze opisu.") {
-      enrichedDescription = "Brak opisu.";
-    } else {
-      if (pages) {
-        enrichedDescription += `\n\nKsiążka ma ${pages} stron.`;
-      }
-
-      if (publishedDate) {
-        enrichedDescription += `\n\nData pierwszego wydania: ${publishedDate.toLocaleDateString()}`;
-      }
-
-      if (translator) {
-        enrichedDescription += `\n\nTłumacz: ${translator}`;
-      }
-    }
-
-    return enrichedDescription;
+  /**
+   * Cycles a book belongs to, from the cycle links: "Wiedźmin (tom 1)", "Saga (tom 2-3)".
+   * @param names {string[]|undefined}
+   * @returns {{series: string, sequence?: string}[]}
+   */
+  parseSeries(names) {
+    const seen = new Set();
+    return [].concat(names || []).map(text => {
+      const m = String(text).match(/^(.*?)\s*\(tom ([^)]+)\)\s*$/i);
+      return m ? { series: m[1].trim(), sequence: m[2].trim() } : { series: String(text).trim() };
+    }).filter(s => {
+      if (!s.series || seen.has(s.series)) return false;
+      seen.add(s.series);
+      return true;
+    });
   }
 
-  getLanguageName(language) {
-    const languageMap = {
-      polski: 'pol',
-      angielski: 'eng',
-    };
-    return languageMap[language.toLowerCase()] || language;
+  /**
+   * The page's description as sanitized HTML; '' for the "no description yet" placeholder.
+   * Page count, dates and translators are separate fields (see global.descriptionTemplate).
+   */
+  cleanDescription(html) {
+    return html.replace(/<[^>]*>/g, '').trim() === NO_DESCRIPTION ? '' : html;
   }
 
   decodeUnicode(str) {
@@ -368,3 +300,9 @@ class LubimyCzytacProvider {
 module.exports = LubimyCzytacProvider;
 // supported languages for admin UI (ISO codes)
 module.exports.supportedLanguages = ['pl'];
+// identifier types searchByIdentifier() can resolve
+module.exports.identifierTypes = ['isbn'];
+// fields the health canaries expect on a detail page
+module.exports.healthFields = ['title', 'authors', 'cover', 'description'];
+// pasted links the backbone routes to this provider
+module.exports.urlPatterns = [/^https?:\/\/(?:www\.)?lubimyczytac\.pl\/(?:ksiazka|audiobook)\//i];
@@ -1,7 +1,9 @@
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const LubimyCzytacProvider = require('./provider');
+const { remoteRouter } = require('../lib/remote');
+const { namesOf } = require('../lib/contributors');
+const { formatLanguage } = require('../lib/languages');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -11,28 +13,13 @@ app.use(cors());
 // No authorization required for local provider servers
 // (was rejecting requests with missing Authorization header)
 
-// Axios 429 retry interceptor (kept from original)
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-axios.interceptors.response.use(
-  (response) => response,
-  async (error) => {
-    const { config, response } = error;
-    if (response?.status === 429) {
-      config._retryCount = (config._retryCount || 0) + 1;
-      if (config._retryCount <= 5) {
-        const delayMs = 10000 + Math.floor(Math.random() * 10000);
-        console.log(`[429] Retry ${config._retryCount}/5 after ${Math.round(delayMs/1000)}s`);
-        await sleep(delayMs);
-        return axios.request(config);
-      }
-      console.error(`[429] Max retries exceeded for ${config.url}`);
-    }
-    throw error;
-  }
-);
+// 429 retries are handled by the shared HTTP client (src/lib/http.js) the provider uses
 
 const provider = new LubimyCzytacProvider();
 
+// Remote provider protocol, for a backbone configured with remote.url = http://<host>:<port>/remote
+app.use('/remote', remoteRouter(provider));
+
 app.get('/search', async (req, res) => {
   try {
     console.log('Received search request:', req.query);
@@ -50,8 +37,8 @@ app.get('/search', async (req, res) => {
         return {
           title: book.title,
           subtitle: book.subtitle || undefined,
-          author: (book.authors || []).join(', '),
-          narrator: book.narrator || undefined,
+          author: namesOf(book, 'author').join(', '),
+          narrator: namesOf(book, 'narrator').join(', ') || undefined,
           publisher: book.publisher || undefined,
           publishedYear: publishedYear,
           description: book.description || undefined,
@@ -61,7 +48,7 @@ app.get('/search', async (req, res) => {
           genres: book.genres || undefined,
           tags: book.tags || undefined,
           series: book.series ? [{ series: book.series, sequence: book.seriesIndex ? book.seriesIndex.toString() : undefined }] : undefined,
-          language: book.languages && book.languages.length > 0 ? book.languages[0] : undefined,
+          language: book.languages && book.languages.length > 0 ? formatLanguage(book.languages[0]) : undefined,
           duration: book.duration || undefined,
           type: book.type,
           similarity: book.similarity
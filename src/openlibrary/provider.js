@@ -0,0 +1,146 @@
+const { createHttpClient } = require('../lib/http');
+const { normalizeIsbn } = require('../lib/identifiers');
+const { twoLetterCode, bibliographicCode } = require('../lib/languages');
+const { contributorsFrom } = require('../lib/contributors');
+
+// Open Library (openlibrary.org) JSON API. A search hit is a *work*: its title and first
+// publication year are the original ones. Details add the work's description and subjects and,
+// from the work's editions, the ISBN and publisher of an edition in the configured language.
+const SEARCH_FIELDS = 'key,title,subtitle,author_name,first_publish_year,cover_i';
+const SEARCH_RESULTS = 10;
+const EDITIONS_LIMIT = 50;
+
+const workId = (key) => String(key || '').split('/').pop();
+const coverUrl = (coverId) => (coverId && coverId > 0 ? `https://covers.openlibrary.org/b/id/${coverId}-L.jpg` : null);
+
+class OpenLibraryProvider {
+  constructor(options = {}) {
+    this.id = 'openlibrary';
+    this.name = 'Open Library';
+    this.baseUrl = 'https://openlibrary.org';
+    this.opts = options || {};
+    this.language = this.opts.language || 'pl';
+    this.timeoutMs = this.opts.timeoutMs || 10000;
+    this.source = { id: this.id, description: this.name, link: this.baseUrl };
+    this.http = createHttpClient({ name: this.id, timeoutMs: this.timeoutMs, retry: this.opts.retry });
+  }
+
+  toMatch(doc) {
+    if (!doc || !doc.key || !doc.title) return null;
+    const id = workId(doc.key);
+    return {
+      id,
+      title: doc.title,
+      subtitle: doc.subtitle || undefined,
+      authors: doc.author_name || [],
+      contributors: contributorsFrom({ author: doc.author_name }),
+      url: `${this.baseUrl}/works/${id}`,
+      cover: coverUrl(doc.cover_i),
+      publishedYear: doc.first_publish_year ? String(doc.first_publish_year) : undefined,
+      type: 'print',
+      source: this.source,
+    };
+  }
+
+  async search(params, options = {}) {
+    const query = new URLSearchParams({ ...params, fields: SEARCH_FIELDS, limit: SEARCH_RESULTS });
+    const { data } = await this.http.get(`${this.baseUrl}/search.json?${query}`, { signal: options.signal });
+    return ((data && data.docs) || []).map(doc => this.toMatch(doc)).filter(Boolean);
+  }
+
+  async searchBooks(query, author = '', lang, options = {}) {
+    const requestId = options.requestId || 'req';
+    try {
+      console.log(`[${requestId}] Searching Open Library for: "${query}" by "${author}"`);
+      const params = { title: query };
+      if (author) params.author = author;
+      return { matches: (await this.search(params, options)).map(m => ({ ...m, locale: lang || this.language })) };
+    } catch (error) {
+      console.error(`[${requestId}] Error searching Open Library:`, error.message);
+      return { matches: [] };
+    }
+  }
+
+  /**
+   * Works with an edition of this ISBN; the ISBN is kept on the snippet so the details report it.
+   */
+  async searchByIdentifier(type, value, lang, options = {}) {
+    const isbn = type === 'isbn' ? normalizeIsbn(value) : '';
+    if (!isbn) return { matches: [] };
+    try {
+      return { matches: (await this.search({ isbn }, options)).map(m => ({ ...m, isbn, locale: lang || this.language })) };
+    } catch (error) {
+      console.error('Error searching Open Library by ISBN:', error.message);
+      return { matches: [] };
+    }
+  }
+
+  /**
+   * Snippet for a pasted openlibrary.org/works/<id> link or a work id.
+   * @param ref {{id?: string, url?: string, lang?: string}}
+   */
+  itemSnippet({ id, url, lang } = {}) {
+    const workMatch = String(url || '').match(/\/works\/(OL\d+W)/i);
+    id = id || (workMatch && workMatch[1].toUpperCase());
+    if (!/^OL\d+W$/.test(id || '')) return null;
+    return { id, url: `${this.baseUrl}/works/${id}`, type: 'print', locale: lang || this.language, source: this.source };
+  }
+
+  /**
+   * Edition in the wanted language, preferring one with an ISBN.
+   * @param editions {object[]} entries of /works/<id>/editions.json
+   * @param language {string} bibliographic code, e.g. "pol"
+   */
+  pickEdition(editions, language) {
+    const inLanguage = editions.filter(e => (e.languages || []).some(l => workId(l.key) === language));
+    const isbnOf = (e) => normalizeIsbn((e.isbn_13 || [])[0]) || normalizeIsbn((e.isbn_10 || [])[0]);
+    return inLanguage.find(isbnOf) || inLanguage[0] || null;
+  }
+
+  async getFullMetadata(match, options = {}) {
+    const requestId = options.requestId || 'req';
+    const language = bibliographicCode(match.locale || this.language);
+    try {
+      console.log(`[${requestId}] Fetching Open Library work ${match.id}`);
+      const [work, editions] = await Promise.all([
+        this.http.get(`${this.baseUrl}/works/${match.id}.json`, { signal: options.signal }).then(r => r.data || {}),
+        this.http.get(`${this.baseUrl}/works/${match.id}/editions.json?limit=${EDITIONS_LIMIT}`, { signal: options.signal }).then(r => (r.data && r.data.entries) || [])
+      ]);
+      const edition = language ? this.pickEdition(editions, language) : null;
+      const editionIsbn = edition ? normalizeIsbn((edition.isbn_13 || [])[0]) || normalizeIsbn((edition.isbn_10 || [])[0]) : '';
+      const description = typeof work.description === 'object' ? work.description && work.description.value : work.description;
+
+      return {
+        ...match,
+        title: match.title || work.title,
+        originalTitle: work.title || match.title,
+        authors: match.authors || [],
+        cover: match.cover || coverUrl((work.covers || [])[0]),
+        description: description || '',
+        publisher: (edition && edition.publishers && edition.publishers[0]) || '',
+        tags: (work.subjects || []).slice(0, 10),
+        languages: edition ? [twoLetterCode(language)] : [],
+        identifiers: {
+          // an identifier lookup reports the ISBN it was found by
+          isbn: normalizeIsbn(match.isbn) || editionIsbn,
+          openlibrary: match.id,
+        },
+      };
+    } catch (error) {
+      console.error(`[${requestId}] Error fetching Open Library work ${match.id}:`, error.message);
+      return match;
+    }
+  }
+}
+
+module.exports = OpenLibraryProvider;
+// results only enrich merged results unless providers.openlibrary.role says otherwise
+module.exports.defaultRole = 'enrichment';
+// languages whose editions it can pick an ISBN from
+module.exports.supportedLanguages = ['pl', 'en', 'de', 'fr', 'cz'];
+// identifier types searchByIdentifier() can resolve
+module.exports.identifierTypes = ['isbn'];
+// fields the health canaries expect in the work details
+module.exports.healthFields = ['title', 'authors', 'publishedYear'];
+// pasted links the backbone routes to this provider
+module.exports.urlPatterns = [/^https?:\/\/(?:www\.)?openlibrary\.org\/works\/OL\d+W/i];
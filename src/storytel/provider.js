@@ -1,9 +1,7 @@
-const axios = require('axios');
-const NodeCache = require('node-cache');
-
-const cache = new NodeCache({
-    stdTTL: 600
-});
+const { createHttpClient } = require('../lib/http');
+const { contributorsFrom } = require('../lib/contributors');
+const { languageCodes } = require('../lib/languages');
+const { formatOf } = require('../lib/formats');
 
 class StorytelProvider {
     constructor(options = {}) {
@@ -11,8 +9,23 @@ class StorytelProvider {
         this.baseBookUrl = 'https://www.storytel.com/api/getBookInfoForContent.action';
         this.opts = options || {};
         this.locale = this.opts.language || 'en';
+        const extra = this.opts.extra || {};
+        // markets searched together, most preferred first (providers.storytel.extra.preferredRegions)
+        this.preferredRegions = [...new Set((Array.isArray(extra.preferredRegions) ? extra.preferredRegions : [])
+            .map(r => String(r).trim().toLowerCase()).filter(Boolean))];
         this.concurrency = this.opts.concurrency || 2;
         this.timeoutMs = this.opts.timeoutMs || 10000;
+        this.http = createHttpClient({
+            name: 'storytel',
+            timeoutMs: this.timeoutMs,
+            retry: this.opts.retry,
+            hostHeaders: {
+                'storytel.com': {
+                    'Referer': 'https://www.storytel.com/',
+                    'X-Requested-With': 'XMLHttpRequest'
+                }
+            }
+        });
     }
 
     /**
@@ -33,6 +46,19 @@ class StorytelProvider {
         return String(value).trim();
     }
 
+    /**
+     * Names of a people list ([{ id, name }]), else of its "A, B" string
+     * @param people {Array|undefined}
+     * @param joined {string|undefined}
+     * @returns {string[]}
+     */
+    peopleNames(people, joined) {
+        if (Array.isArray(people) && people.length) {
+            return people.map(p => this.ensureString(typeof p === 'string' ? p : p && p.name)).filter(Boolean);
+        }
+        return this.ensureString(joined).split(',').map(name => name.trim()).filter(Boolean);
+    }
+
     /**
      * Upgrades the cover URL to a higher resolution
      * @param url
@@ -66,17 +92,18 @@ class StorytelProvider {
     }
 
     /**
-     * Formats the book metadata to the ABS format
-     * @param bookData
-     * @returns {{title: (string|string), subtitle: *, author: (string|string), language: (string|string), genres: (*[]|undefined), tags: undefined, series: null, cover: string, duration: (number|undefined), narrator: (*|undefined), description: (string|string), publisher: (string|string), publishedYear: string | undefined, isbn: (string|string)}|null}
+     * Formats one edition from the book details to the ABS format
+     * @param bookData Response of getBookInfoForContent.action
+     * @param type {string|undefined} 'audiobook' or 'ebook'; without it the audiobook, else the e-book
+     * @returns {{title: (string|string), subtitle: *, authors: string[], narrators: string[], contributors: {name: string, role: string}[], languages: string[], genres: (*[]|undefined), tags: undefined, series: null, cover: string, duration: (number|undefined), description: (string|string), publisher: (string|string), publishedYear: string | undefined, isbn: (string|string), type: string}|null}
      */
-    formatBookMetadata(bookData) {
-        const slb = bookData.slb;
+    formatBookMetadata(bookData, type) {
+        const slb = bookData && bookData.slb;
         if (!slb || !slb.book) return null;
 
         const book = slb.book;
-        const abook = slb.abook;
-        const ebook = slb.ebook;
+        const abook = type === 'ebook' ? null : slb.abook;
+        const ebook = type === 'audiobook' || (!type && abook) ? null : slb.ebook;
 
         if (!abook && !ebook) return null;
 
@@ -90,7 +117,8 @@ class StorytelProvider {
             }];
         }
 
-        const author = this.ensureString(book.authorsAsString);
+        const authors = this.peopleNames(book.authors, book.authorsAsString);
+        const narrators = abook ? this.peopleNames(abook.narrators, abook.narratorAsString) : [];
 
         let title = book.name;
         let subtitle = null;
@@ -227,17 +255,19 @@ class StorytelProvider {
         const metadata = {
             title: this.ensureString(title),
             subtitle: subtitle,
-            author: author,
-            language: this.ensureString(book.language?.isoValue || this.locale),
+            authors: authors,
+            narrators: narrators,
+            contributors: contributorsFrom({ author: authors, narrator: narrators }),
+            languages: languageCodes(book.language?.isoValue || this.locale),
             genres: genres.length > 0 ? genres : undefined,
             series: seriesInfo,
             cover: this.upgradeCoverUrl(book.largeCover),
             duration: abook ? (abook.length ? Math.floor(abook.length / 60000) : undefined) : undefined,
-            narrator: abook ? abook.narratorAsString || undefined : undefined,
-            description: this.ensureString(abook ? abook.description : ebook?.description),
-            publisher: this.ensureString(abook ? abook.publisher?.name : ebook?.publisher?.name),
-            publishedYear: (abook ? abook.releaseDateFormat : ebook?.releaseDateFormat)?.substring(0, 4),
-            isbn: this.ensureString(abook ? abook.isbn : ebook?.isbn)
+            description: this.ensureString(abook ? abook.description : ebook.description),
+            publisher: this.ensureString(abook ? abook.publisher?.name : ebook.publisher?.name),
+            publishedYear: (abook ? abook.releaseDateFormat : ebook.releaseDateFormat)?.substring(0, 4),
+            isbn: this.ensureString(abook ? abook.isbn : ebook.isbn),
+            type: abook ? 'audiobook' : 'ebook'
         };
 
         // Remove undefined values
@@ -249,38 +279,64 @@ class StorytelProvider {
     }
 
     /**
-     * Searches for books in the Storytel API
+     * Storytel markets to search, most preferred first
+     * @param locale {string} Locale passed by the backbone (requested or configured language)
+     * @param regions {string[]|undefined} Regions named by the request (`/search?region=`)
+     * @returns {string[]}
+     */
+    searchRegions(locale, regions) {
+        if (Array.isArray(regions) && regions.length) return [...new Set(regions)];
+        const usedLocale = locale || this.locale || 'en';
+        // a per-request language other than the configured one searches just that market
+        if (usedLocale !== this.locale || !this.preferredRegions.length) return [usedLocale];
+        return this.preferredRegions;
+    }
+
+    /**
+     * Searches for books in the Storytel API, in every region from searchRegions() at once.
+     * A book listed in several regions is returned once, from the most preferred one.
      * @param query {string} Search query
      * @param author {string} Optional author filter
      * @param locale {string} Locale for the search
+     * @param options {{signal?: AbortSignal, regions?: string[]}} Optional abort signal and regions from the backbone
      * @returns {Promise<{matches: *[]}>}
      */
-    async searchBooks(query, author = '', locale) {
-        const usedLocale = locale || this.locale || 'en';
+    async searchBooks(query, author = '', locale, options = {}) {
+        const regions = this.searchRegions(locale, options.regions);
+        const perRegion = await Promise.all(regions.map(region => this.searchRegion(query, region, options)));
+        const seen = new Set();
+        const matches = perRegion.flat().filter(m => {
+            if (seen.has(String(m.id))) return false;
+            seen.add(String(m.id));
+            return true;
+        });
+        return { matches };
+    }
+
+    /**
+     * Searches one Storytel market
+     * @param query {string} Search query
+     * @param usedLocale {string} Region (request_locale) to search
+     * @param options {{signal?: AbortSignal}} Optional abort signal from the backbone
+     * @returns {Promise<*[]>} snippets tagged with the region
+     */
+    async searchRegion(query, usedLocale, options = {}) {
     const cleanQuery = query.split(':')[0].trim();
     const formattedQuery = cleanQuery; // keep original spacing - API accepts normal query strings
 
-        const cacheKey = `${formattedQuery}-${author}-${locale}`;
-
-        const cachedResult = cache.get(cacheKey);
-        if (cachedResult) {
-            return cachedResult;
-        }
-
         try {
-            const searchResponse = await axios.get(this.baseSearchUrl, {
+            const searchResponse = await this.http.get(this.baseSearchUrl, {
                 params: {
                     request_locale: usedLocale,
                     q: formattedQuery
                 },
                 headers: {
-                    // mimic a common browser UA and include referer/accept-language
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/117.0.0.0 Safari/537.36',
-                    'Accept-Language': usedLocale === 'pl' ? 'pl-PL,pl;q=0.9' : (usedLocale === 'cz' ? 'cs-CZ,cs;q=0.9' : 'en-US,en;q=0.9'),
-                    'Referer': 'https://www.storytel.com/',
-                    'X-Requested-With': 'XMLHttpRequest'
+                    // Accept-Language follows the requested locale, not the provider default
+                    'Accept-Language': usedLocale === 'pl' ? 'pl-PL,pl;q=0.9' : (usedLocale === 'cz' ? 'cs-CZ,cs;q=0.9' : 'en-US,en;q=0.9')
                 },
-                validateStatus: status => status < 500 // let us handle 403 gracefully
+                // let us handle 403 gracefully; 429 still goes through the client's retry policy
+                validateStatus: status => status < 500 && status !== 429,
+                signal: options.signal
             });
 
                         const data = searchResponse.data || {};
@@ -304,58 +360,108 @@ class StorytelProvider {
 
                         if (!books || books.length === 0) {
                                 console.debug('Storytel search: no books found; response keys=', Object.keys(data));
-                                return { matches: [] };
+                                return [];
                         }
 
                         const limitedBooks = books.slice(0, 10);
-            console.log(`Found ${books.length} books in search results`);
+            console.log(`Found ${books.length} books in ${usedLocale} search results`);
 
             // Return lightweight snippets only; Backbone will fetch full metadata when needed
-            const matches = limitedBooks.map(bookItem => {
+            const matches = limitedBooks.flatMap(bookItem => {
                 const candidate = bookItem.book || bookItem;
                 const bookId = candidate && (candidate.id || candidate.bookId || candidate.book_id || candidate.bookID);
-                if (!bookId) return null;
+                if (!bookId) return [];
                 // Provide minimal snippet so backbone can score/cap candidates
-                return {
-                    id: bookId,
+                const snippet = (id, type) => ({
+                    id,
+                    bookId,
                     title: candidate.name || candidate.title || null,
-                    authors: candidate.authors || (candidate.authorsAsString ? [candidate.authorsAsString] : []),
+                    // the API lists authors as [{ id, name }]
+                    authors: this.peopleNames(candidate.authors, candidate.authorsAsString),
                     url: null, // Storytel uses API for details
                     source: { id: 'storytel', description: 'Storytel', link: 'https://storytel.com' },
-                    type: candidate.type || 'audiobook',
-                    // Save the raw candidate so getFullMetadata can use it if needed
-                    _raw: candidate
-                };
-            }).filter(Boolean);
-
-            const result = { matches };
-            cache.set(cacheKey, result);
-            return result;
+                    type,
+                    // Locale the hit came from, so details are fetched from the same market
+                    locale: usedLocale,
+                    region: usedLocale
+                });
+                // one match per edition the hit lists, under the edition's own id
+                const editions = [['audiobook', bookItem.abook], ['ebook', bookItem.ebook]].filter(([, edition]) => edition);
+                if (!editions.length) return [snippet(bookId, formatOf(candidate.type) || undefined)];
+                return editions.map(([type, edition]) => snippet(edition.id || `${bookId}-${type}`, type));
+            });
+
+            return matches;
         } catch (error) {
             // Storytel often returns 403 when blocked; fail gracefully and return no matches
-            console.error('Error searching books:', error && error.message || error);
-            return { matches: [] };
+            console.error(`Error searching books in region ${usedLocale}:`, error && error.message || error);
+            return [];
         }
     }
     
+    /**
+     * Looks up a book by ISBN; Storytel's search endpoint accepts ISBNs as the query
+     * @param type {string} Identifier type ('isbn')
+     * @param value {string} Normalized identifier
+     * @param locale {string} Locale for the search
+     * @param options {{signal?: AbortSignal}} Optional abort signal from the backbone
+     * @returns {Promise<{matches: *[]}>}
+     */
+    async searchByIdentifier(type, value, locale, options = {}) {
+        if (type !== 'isbn') return { matches: [] };
+        return this.searchBooks(value, '', locale, options);
+    }
+
+    /**
+     * Builds a snippet for a known book (pasted storytel.com link or book id); details come from the API
+     * @param ref {{id?: string|number, url?: string, lang?: string}}
+     * @returns {object|null}
+     */
+    itemSnippet({ id, url, lang } = {}) {
+        let locale = lang || this.locale;
+        if (url) {
+            const path = url.split('?')[0].replace(/\/$/, '');
+            const localeMatch = path.match(/storytel\.com\/([a-z]{2})\//i);
+            if (localeMatch) locale = localeMatch[1].toLowerCase();
+            const idMatch = path.match(/-(\d+)$/);
+            id = id || (idMatch && idMatch[1]);
+        }
+        if (!id) return null;
+        // the edition is not known from a link; details pick the audiobook, else the e-book
+        return {
+            id,
+            bookId: id,
+            url: url || null,
+            source: { id: 'storytel', description: 'Storytel', link: 'https://storytel.com' },
+            locale,
+            region: locale
+        };
+    }
+
     /**
     * Gets detailed book information from Storytel API
     * @param bookId {string|number} The book ID to fetch details for
     * @param locale {string} Locale for the request
+    * @param options {{signal?: AbortSignal}} Optional abort signal from the backbone
     * @returns {Promise<*>}
     */
-    async getBookDetails(bookId, locale) {
+    async getBookDetails(bookId, locale, options = {}) {
         try {
-            const response = await axios.get(this.baseBookUrl, {
+            const response = await this.http.get(this.baseBookUrl, {
                 params: {
                     bookId: bookId,
                     request_locale: locale
                 },
                 headers: {
                     'User-Agent': 'Storytel ABS-Scraper'
-                }
+                },
+                signal: options.signal
             });
             
+            if (!response.data || !response.data.slb) {
+                console.warn(`Storytel returned no details for book ID ${bookId} (${locale}):`, response.data && response.data.result);
+                return null;
+            }
             return response.data;
         } catch (error) {
             console.error(`Error fetching book details for ID ${bookId}:`, error.message);
@@ -365,20 +471,31 @@ class StorytelProvider {
 
     /**
      * Provider-level wrapper to return full ABS-formatted metadata for a snippet.
-     * Backbone will call this for candidates.
+     * Backbone will call this for candidates. Details always come from the book details API, for
+     * the snippet's edition (audiobook or e-book); when they cannot be read the snippet is returned.
      */
-    async getFullMetadata(snippet) {
+    async getFullMetadata(snippet, options = {}) {
         if (!snippet) return null;
-        const raw = snippet._raw;
-        if (!raw) {
-            // fallback: try to fetch book details by id
-            return this.formatBookMetadata(await this.getBookDetails(snippet.id, this.locale));
+        const bookId = snippet.bookId || snippet.id;
+        const locale = snippet.locale || this.locale;
+        const details = await this.getBookDetails(bookId, locale, options);
+        if (!details) return snippet;
+        const metadata = this.formatBookMetadata(details, snippet.type);
+        if (!metadata) {
+            console.warn(`Storytel details for book ID ${bookId} (${locale}) have no ${snippet.type || 'audiobook or e-book'} edition`);
+            return snippet;
         }
-        return this.formatBookMetadata(raw);
+        return { ...snippet, ...metadata };
     }
 
 }
 
 module.exports = StorytelProvider;
 // supported languages / locales for admin UI
-module.exports.supportedLanguages = ['en', 'pl', 'de', 'sv', 'da', 'fi', 'fr', 'nl', 'es', 'pt', 'it', 'is', 'bg', 'ar', 'he', 'hi'];
\ No newline at end of file
+module.exports.supportedLanguages = ['en', 'pl', 'de', 'sv', 'da', 'fi', 'fr', 'nl', 'es', 'pt', 'it', 'is', 'bg', 'ar', 'he', 'hi'];
+// identifier types searchByIdentifier() can resolve
+module.exports.identifierTypes = ['isbn'];
+// fields the health canaries expect in the book details
+module.exports.healthFields = ['title', 'author', 'cover', 'narrator', 'duration'];
+// pasted links the backbone routes to this provider
+module.exports.urlPatterns = [/^https?:\/\/(?:www\.)?storytel\.com\/[a-z]{2}\/(?:[a-z]{2}\/)?books\//i];
@@ -2,6 +2,7 @@
 const express = require('express');
 const cors = require('cors');
 const StorytelProvider = require('./provider');
+const { remoteRouter } = require('../lib/remote');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -12,6 +13,9 @@ app.use(cors());
 
 const provider = new StorytelProvider();
 
+// Remote provider protocol, for a backbone configured with remote.url = http://<host>:<port>/remote
+app.use('/remote', remoteRouter(provider));
+
 const checkAuth = (req, res, next) => { next(); };
 
 const validateRegion = (req, res, next) => {
@@ -81,7 +85,7 @@ app.get('/:region/audiobook', checkAuth, validateRegion, async (req, res) => {
 
         const stats = {
             total: audiobooks.length,
-            withNarrator: audiobooks.filter(b => b.narrator).length,
+            withNarrator: audiobooks.filter(b => b.narrators && b.narrators.length).length,
             averageDuration: audiobooks.length > 0 
                 ? Math.round(audiobooks.reduce((acc, b) => acc + (b.duration || 0), 0) / audiobooks.length)
                 : 0
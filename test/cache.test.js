@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MetadataCache } = require('../src/lib/cache');
+
+test('details are cached per region, so a hit from another market is fetched again', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+  const cache = new MetadataCache({ file: path.join(dir, 'cache.json') });
+  try {
+    const pl = { id: '123', region: 'pl', similarity: 0.9 };
+    cache.setMetadata('storytel', pl, { id: '123', title: 'Ostatnie życzenie', region: 'pl', similarity: 0.9 }, 60);
+
+    assert.equal(cache.getMetadata('storytel', { id: '123', region: 'se' }), undefined);
+    assert.deepEqual(cache.getMetadata('storytel', { ...pl, similarity: 0.8 }), { id: '123', title: 'Ostatnie życzenie', region: 'pl', similarity: 0.8 });
+    assert.notEqual(MetadataCache.metadataKey('storytel', { id: '123', locale: 'pl' }), MetadataCache.metadataKey('storytel', { id: '123', locale: 'sv' }));
+    assert.equal(MetadataCache.metadataKey('lubimyczytac', { id: 'x' }), 'metadata:lubimyczytac:x');
+  } finally {
+    cache.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { clusterResults, findClusters } = require('../src/lib/cluster');
+
+// Each fixture: { description, input: [sorted results], expected: [{ members: [providers], merged }] }
+// with one entry per cluster in output order; `merged` lists only the fields the case is about.
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'cluster');
+
+for (const file of fs.readdirSync(FIXTURE_DIR).filter(f => f.endsWith('.json')).sort()) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+  test(`${file}: ${fixture.description}`, () => {
+    const clusters = findClusters(fixture.input);
+    assert.deepEqual(clusters.map(c => c.members.map(m => m._provider)), fixture.expected.map(e => e.members));
+
+    const results = clusterResults(fixture.input, {});
+    assert.equal(results.length, fixture.expected.length);
+    fixture.expected.forEach((e, i) => {
+      for (const [key, value] of Object.entries(e.merged)) {
+        assert.deepEqual(results[i][key], value, `cluster ${i}: ${key}`);
+      }
+      if (e.members.length > 1) assert.equal(results[i].alternatives.length, e.members.length);
+    });
+  });
+}
+
+test('single results and empty lists pass through unchanged', () => {
+  const one = [{ _provider: 'a', title: 'A', authors: ['X'] }];
+  assert.equal(clusterResults(one), one);
+  assert.deepEqual(clusterResults([]), []);
+});
+
+test('enrichment results fill merged results but never stand alone', () => {
+  const input = [
+    { _provider: 'openlibrary', _role: 'enrichment', _providerPriority: 1, similarity: 1, title: 'Ostatnie życzenie', authors: ['Andrzej Sapkowski'], originalTitle: 'Ostatnie życzenie', publishedYear: '1993', identifiers: { isbn: '9788375780635' } },
+    { _provider: 'googlebooks', _role: 'enrichment', _providerPriority: 1, similarity: 0.95, title: 'Krew elfów', authors: ['Andrzej Sapkowski'] },
+    { _provider: 'audioteka', _providerPriority: 20, similarity: 0.9, title: 'Ostatnie życzenie', authors: ['Andrzej Sapkowski'], narrator: 'Krzysztof Gosztyła' },
+    { _provider: 'storytel', _providerPriority: 15, similarity: 0.8, title: 'Sezon burz', authors: ['Andrzej Sapkowski'] }
+  ];
+  const results = clusterResults(input, { preferences: { isbn: 'openlibrary' } });
+  assert.deepEqual(results.map(r => r._provider), ['merged', 'storytel']);
+  const [merged] = results;
+  assert.equal(merged.similarity, 0.9);
+  assert.deepEqual(merged.contributors, [{ name: 'Andrzej Sapkowski', role: 'author' }, { name: 'Krzysztof Gosztyła', role: 'narrator' }]);
+  assert.equal(merged.isbn, '9788375780635');
+  assert.equal(merged.publishedYear, '1993');
+  assert.equal(merged.originalTitle, 'Ostatnie życzenie');
+  assert.equal(merged._mergedFieldSources.title, 'audioteka');
+});
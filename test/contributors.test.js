@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { contributorsFrom, contributorsOf, namesOf, serializeContributors } = require('../src/lib/contributors');
+
+test('contributors come from name lists per role, deduplicated', () => {
+  assert.deepEqual(contributorsFrom({
+    narrator: [{ name: 'Krzysztof Gosztyła' }, 'krzysztof gosztyła'],
+    author: ['Andrzej Sapkowski', ''],
+    translator: [' Marek  Marszał ']
+  }), [
+    { name: 'Andrzej Sapkowski', role: 'author' },
+    { name: 'Krzysztof Gosztyła', role: 'narrator' },
+    { name: 'Marek Marszał', role: 'translator' }
+  ]);
+});
+
+test('role lists and legacy strings fill the roles contributors leave out; names are not split on "and"', () => {
+  const item = { contributors: [{ name: 'Smith and Sons', role: 'author' }], authors: ['Ignored'], narrator: 'Jan Kowalski, Anna Nowak', editors: ['Ed'] };
+  assert.deepEqual(namesOf(item, 'author'), ['Smith and Sons']);
+  assert.deepEqual(namesOf(item, 'narrator'), ['Jan Kowalski', 'Anna Nowak']);
+  assert.deepEqual(namesOf(item, 'editor'), ['Ed']);
+  assert.deepEqual(contributorsOf({ author: 'Smith and Sons' }), [{ name: 'Smith and Sons', role: 'author' }]);
+});
+
+test('the output edge writes the author and narrator strings and keeps the role lists next to contributors', () => {
+  const item = serializeContributors({ authors: ['A', 'B'], narrators: ['N'], translators: ['T'], editors: [] });
+  assert.equal(item.author, 'A, B');
+  assert.equal(item.narrator, 'N');
+  assert.deepEqual(item.authors, ['A', 'B']);
+  assert.deepEqual(item.narrators, ['N']);
+  assert.deepEqual(item.translators, ['T']);
+  assert.equal(item.editors, undefined);
+  assert.deepEqual(item.contributors.map(c => c.role), ['author', 'author', 'narrator', 'translator']);
+  assert.deepEqual(serializeContributors({ ...item }), item);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { renderDescription, applyDescriptionTemplate } = require('../src/lib/description');
+
+const TEMPLATE = '{description}\n\nLiczba stron: {pages}\nTłumacz: {translators}\nPierwsze wydanie: {firstPublishedDate}';
+
+test('placeholders take structured fields; lines without a value are left out', () => {
+  const item = {
+    description: '<p>Arrakis.</p>',
+    pages: 800,
+    translators: ['Marek Marszał', 'Andrzej Jankowski'],
+    firstPublishedDate: new Date('1965-08-01T00:00:00Z')
+  };
+  assert.equal(renderDescription(TEMPLATE, item), '<p>Arrakis.</p>\n\nLiczba stron: 800\nTłumacz: Marek Marszał, Andrzej Jankowski\nPierwsze wydanie: 1965-08-01');
+  assert.equal(renderDescription(TEMPLATE, { description: 'Opis.', translators: [], firstPublishedDate: '1993-01-01T00:00:00.000Z' }), 'Opis.\n\nPierwsze wydanie: 1993-01-01');
+  assert.equal(renderDescription('{description}\n\nCykl: {series}', { description: '', series: [{ series: 'Wiedźmin', sequence: '1' }] }), 'Cykl: Wiedźmin #1');
+});
+
+test('a blank template leaves descriptions alone; alternatives are rendered too', () => {
+  const results = [{ description: 'A', pages: 10, alternatives: [{ description: 'B', pages: 12 }] }];
+  applyDescriptionTemplate(results, '  ');
+  assert.equal(results[0].description, 'A');
+  applyDescriptionTemplate(results, '{description} ({pages} s.)');
+  assert.equal(results[0].description, 'A (10 s.)');
+  assert.equal(results[0].alternatives[0].description, 'B (12 s.)');
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { formatOf, parseFormats } = require('../src/lib/formats');
+
+test('provider wordings map to one format', () => {
+  assert.equal(formatOf('Audiobook'), 'audiobook');
+  assert.equal(formatOf('Audiokniha'), 'audiobook');
+  assert.equal(formatOf('Słuchowisko'), 'radio-drama');
+  assert.equal(formatOf('PodcastEpisode'), 'podcast-episode');
+  assert.equal(formatOf('e-book'), 'ebook');
+  assert.equal(formatOf('book'), 'print');
+  assert.equal(formatOf('Product'), '');
+  assert.equal(formatOf(undefined), '');
+});
+
+test('format lists are parsed from a query value or a config array', () => {
+  assert.deepEqual(parseFormats('audiobook, radio-drama,audiobook'), { formats: ['audiobook', 'radio-drama'], invalid: [] });
+  assert.deepEqual(parseFormats(['ebook', 'vinyl']), { formats: ['ebook'], invalid: ['vinyl'] });
+  assert.deepEqual(parseFormats(undefined), { formats: [], invalid: [] });
+});
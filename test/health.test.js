@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { HealthMonitor, runCanary, healthSettings } = require('../src/lib/health');
+
+// Stand-in provider: `details` is what getFullMetadata returns, `matches` what searchBooks finds
+function fakeProvider({ matches = [{ id: '1', title: 'Ostatnie życzenie' }], details, fail } = {}) {
+  return {
+    async searchBooks() {
+      if (fail) throw new Error(fail);
+      return { matches };
+    },
+    async getFullMetadata(match) {
+      return details === undefined ? match : details;
+    }
+  };
+}
+
+const provider = (name, instance, health) => ({ name, instance, ProviderClass: { healthFields: ['title', 'cover', 'narrator', 'duration'] }, health });
+const configFor = (...list) => ({ providers: Object.fromEntries(list.map(p => [p.name, { timeoutMs: 1000, health: p.health }])) });
+const canary = { canaries: [{ query: 'Ostatnie życzenie', author: 'Andrzej Sapkowski' }] };
+
+test('healthSettings prefers config fields over the provider class defaults', () => {
+  assert.deepEqual(healthSettings({ health: canary }, { healthFields: ['title', 'narrator'] }).fields, ['title', 'narrator']);
+  assert.deepEqual(healthSettings({ health: { ...canary, fields: ['cover'] } }, { healthFields: ['title'] }).fields, ['cover']);
+  assert.deepEqual(healthSettings({}, null), { canaries: [], fields: ['title', 'cover'], timeoutMs: 10000, lang: undefined });
+});
+
+test('a canary whose details carry every field is ok', async () => {
+  const full = { title: 'Ostatnie życzenie', cover: 'c.jpg', narrator: 'Krzysztof Gosztyła', duration: 647 };
+  const run = await runCanary(fakeProvider({ details: full }), canary.canaries[0], { fields: ['title', 'cover', 'narrator', 'duration'], timeoutMs: 1000 });
+  assert.equal(run.status, 'ok');
+  assert.equal(run.matches, 1);
+  assert.deepEqual(run.fields, { title: true, cover: true, narrator: true, duration: true });
+  assert.equal(typeof run.latencyMs, 'number');
+});
+
+test('missing fields make the provider degraded and show in field coverage', async () => {
+  const monitor = new HealthMonitor({ file: null });
+  const p = provider('audioteka', fakeProvider({ details: { title: 'Ostatnie życzenie', cover: 'c.jpg', narrator: '', duration: undefined } }), canary);
+  await monitor.checkAll([p], configFor(p));
+  assert.equal(monitor.status('audioteka'), 'degraded');
+  const summary = monitor.providerSummary('audioteka');
+  assert.deepEqual(summary.lastRun.missing, ['narrator', 'duration']);
+  assert.deepEqual(summary.fieldCoverage, { title: 1, cover: 1, narrator: 0, duration: 0 });
+  assert.equal(summary.lastSuccess, null);
+  assert.equal(summary.errorRate, 0);
+});
+
+test('no matches or errors mark the provider down and count towards the error rate', async () => {
+  const monitor = new HealthMonitor({ file: null });
+  const empty = provider('storytel', fakeProvider({ matches: [] }), canary);
+  const broken = provider('lubimyczytac', fakeProvider({ fail: 'socket hang up' }), canary);
+  await monitor.checkAll([empty, broken], configFor(empty, broken));
+  assert.equal(monitor.status('storytel'), 'down');
+  assert.equal(monitor.providerSummary('storytel').lastRun.error, 'no matches');
+  assert.equal(monitor.providerSummary('lubimyczytac').lastRun.error, 'socket hang up');
+  assert.equal(monitor.providerSummary('lubimyczytac').errorRate, 1);
+  assert.equal(monitor.providerSummary('lubimyczytac').latencyMs, null);
+});
+
+test('one passing run after failures leaves the provider degraded until the error rate drops', async () => {
+  const monitor = new HealthMonitor({ file: null });
+  const full = { title: 'T', cover: 'c', narrator: 'N', duration: 1 };
+  const flaky = provider('audioteka', fakeProvider({ fail: 'HTTP 503' }), canary);
+  await monitor.checkAll([flaky], configFor(flaky));
+  flaky.instance = fakeProvider({ details: full });
+  await monitor.checkAll([flaky], configFor(flaky));
+  assert.equal(monitor.status('audioteka'), 'degraded');
+  await monitor.checkAll([flaky], configFor(flaky));
+  assert.equal(monitor.status('audioteka'), 'healthy');
+  const summary = monitor.providerSummary('audioteka');
+  assert.equal(summary.runs, 3);
+  assert.equal(summary.errorRate, 0.333);
+  assert.ok(summary.lastSuccess);
+});
+
+test('providers without canaries stay unknown and history is capped', async () => {
+  const monitor = new HealthMonitor({ file: null, historySize: 2 });
+  const idle = provider('storytel', fakeProvider(), undefined);
+  const busy = provider('audioteka', fakeProvider({ details: { title: 'T', cover: 'c', narrator: 'N', duration: 1 } }), canary);
+  for (let i = 0; i < 3; i++) await monitor.checkAll([idle, busy], configFor(idle, busy));
+  assert.equal(monitor.status('storytel'), 'unknown');
+  assert.equal(monitor.providerSummary('audioteka').runs, 2);
+  assert.deepEqual(Object.keys(monitor.summary().providers), ['audioteka']);
+});
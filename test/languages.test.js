@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { twoLetterCode, bibliographicCode, languageCodes, languagesOf, formatLanguage } = require('../src/lib/languages');
+
+test('codes and names the providers report map to ISO 639-1', () => {
+  assert.deepEqual(languageCodes(['polish', 'pol', 'polski', 'PL', 'pl-PL']), ['pl']);
+  assert.deepEqual(languageCodes('čeština'), ['cs']);
+  assert.equal(twoLetterCode('cz'), 'cs');
+  assert.equal(twoLetterCode('ces'), 'cs');
+  assert.equal(bibliographicCode('cz'), 'cze');
+  assert.deepEqual(languageCodes(['English', 'klingon', '']), ['en', 'klingon']);
+  assert.deepEqual(languagesOf({ languages: [], language: 'German' }), ['de']);
+});
+
+test('languages are written in the configured style', () => {
+  assert.equal(formatLanguage('pol', 'iso639-1'), 'pl');
+  assert.equal(formatLanguage('pl', 'iso639-2'), 'pol');
+  assert.equal(formatLanguage('cs', 'iso639-2'), 'cze');
+  assert.equal(formatLanguage('polski', 'name'), 'Polish');
+  assert.equal(formatLanguage('Polish'), 'pl');
+  assert.equal(formatLanguage('klingon', 'iso639-1'), 'klingon');
+});
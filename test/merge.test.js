@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { mergeGroup, resolvePreference } = require('../src/lib/merge');
+
+// Each fixture: { description, preferences, input: [results], expected }
+// `expected` lists only the fields the case is about.
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'merge');
+
+function assertSubset(actual, expected, label) {
+  for (const [key, value] of Object.entries(expected)) {
+    if (key === '_mergedFieldSources') {
+      for (const [field, source] of Object.entries(value)) {
+        assert.deepEqual(actual._mergedFieldSources[field], source, `${label}: _mergedFieldSources.${field}`);
+      }
+      continue;
+    }
+    assert.deepEqual(actual[key], value, `${label}: ${key}`);
+  }
+}
+
+for (const file of fs.readdirSync(FIXTURE_DIR).filter(f => f.endsWith('.json')).sort()) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+  test(`${file}: ${fixture.description}`, () => {
+    assertSubset(mergeGroup(fixture.input, { preferences: fixture.preferences }), fixture.expected, file);
+  });
+}
+
+test('every merged field with a value records its source', () => {
+  const merged = mergeGroup([
+    { _provider: 'a', _providerPriority: 1, title: 'T', authors: ['X'], narrator: 'N', cover: 'c', url: 'u', duration: 300, rating: 4.5 },
+    { _provider: 'b', _providerPriority: 0, subtitle: 'S', genres: ['g'], publisher: 'P', identifiers: { isbn: '9788375780635' } }
+  ]);
+  for (const field of ['title', 'subtitle', 'authors', 'narrator', 'cover', 'url', 'duration', 'rating', 'genres', 'publisher', 'identifiers', 'isbn']) {
+    assert.ok(merged._mergedFieldSources[field], `missing source for ${field}`);
+  }
+  assert.equal(merged._mergedFieldSources.subtitle, 'b');
+});
+
+test('resolvePreference accepts provider names, strategy names and objects', () => {
+  assert.deepEqual(resolvePreference('audioteka'), { strategy: 'prefer', provider: 'audioteka' });
+  assert.deepEqual(resolvePreference('longest'), { strategy: 'longest', provider: null });
+  assert.deepEqual(resolvePreference({ strategy: 'prefer', provider: 'storytel' }), { strategy: 'prefer', provider: 'storytel' });
+  assert.deepEqual(resolvePreference(null), { strategy: null, provider: null });
+});
+
+test('a group whose members have no known format stays without a type', () => {
+  const merged = mergeGroup([
+    { _provider: 'lubimyczytac', _providerPriority: 2, title: 'Ostatnie życzenie', authors: ['Andrzej Sapkowski'] },
+    { _provider: 'legimi', _providerPriority: 3, title: 'Ostatnie życzenie', authors: ['Andrzej Sapkowski'] }
+  ]);
+  assert.equal('type' in merged, false);
+  assert.equal(mergeGroup([{ _provider: 'a', type: 'Audiobook' }, { _provider: 'b' }]).type, 'audiobook');
+});
@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const axios = require('axios');
+
+// Replays recorded provider responses and checks the exact parsed output of each provider.
+// Each fixture test/fixtures/providers/<provider>/<case>.json:
+//   { description, options, method, args, responses: { <requested url>: <file in responses/> }, expected }
+// `options` go to the provider constructor and `method(...args)` is called on it. Providers reach a
+// local HTTP stand-in configured as their proxy, so they keep requesting the real URLs; a request
+// without a recorded response gets a 404 and fails the case.
+//
+// Recording: `npm run test:record` (RECORD_FIXTURES=1) fetches unrecorded URLs from the live sites,
+// saves them under responses/ and rewrites `responses` and `expected` in the fixture. Review the diff.
+//
+// A fixture with `"synthetic": true` replays hand-written responses, not recorded ones, so it only
+// pins the parser to its own selectors and says nothing about the live site. Recording drops its
+// responses, fetches every URL live and removes the flag.
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'providers');
+const RECORD = process.env.RECORD_FIXTURES === '1';
+// shipped scraping rules only: local overrides in the config volume must not change the output
+process.env.RULES_DIR = path.join(FIXTURE_DIR, 'no-rule-overrides');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json; charset=utf-8'
+};
+
+// per-case routing, swapped in by each test
+const standIn = { dir: null, name: null, routes: {}, missing: [] };
+let server;
+let port;
+
+async function record(url, headers) {
+  const { host, connection, 'proxy-connection': proxyConnection, 'accept-encoding': encoding, ...forward } = headers;
+  let response;
+  try {
+    response = await axios.get(url, { headers: forward, responseType: 'arraybuffer', proxy: false, validateStatus: () => true, timeout: 15000 });
+  } catch (err) {
+    console.warn(`[record] ${url} failed: ${err.message}; not saved`);
+    return null;
+  }
+  if (response.status !== 200) {
+    console.warn(`[record] ${response.status} for ${url}; not saved`);
+    return null;
+  }
+  const ext = String(response.headers['content-type'] || '').includes('json') ? '.json' : '.html';
+  const file = `${standIn.name}-${Object.keys(standIn.routes).length + 1}${ext}`;
+  fs.mkdirSync(path.join(standIn.dir, 'responses'), { recursive: true });
+  fs.writeFileSync(path.join(standIn.dir, 'responses', file), response.data);
+  standIn.routes[url] = file;
+  console.log(`[record] ${url} -> ${file}`);
+  return file;
+}
+
+async function handle(req, res) {
+  // reached as a proxy, so req.url is the absolute URL the provider asked for
+  const url = req.url;
+  let file = standIn.routes[url];
+  if (!file && RECORD) file = await record(url, req.headers);
+  if (!file) {
+    standIn.missing.push(url);
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    return res.end('no recorded response');
+  }
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+  res.end(fs.readFileSync(path.join(standIn.dir, 'responses', file)));
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(err.message);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// JSON round trip: drops undefined fields and turns dates into ISO strings, as the backbone's responses do
+const normalize = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+for (const provider of fs.readdirSync(FIXTURE_DIR).sort()) {
+  const dir = path.join(FIXTURE_DIR, provider);
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    const fixturePath = path.join(dir, file);
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    const rerecord = RECORD && fixture.synthetic;
+    test(`${provider}/${file}: ${fixture.description}${fixture.synthetic ? ' [synthetic]' : ''}`, async () => {
+      const routes = rerecord ? {} : { ...(fixture.responses || {}) };
+      Object.assign(standIn, { dir, name: path.basename(file, '.json'), routes, missing: [] });
+      const Provider = require(path.join(__dirname, '..', 'src', provider, 'provider'));
+      const instance = new Provider(fixture.options || {});
+      instance.http.defaults.proxy = { protocol: 'http', host: '127.0.0.1', port };
+      instance.http.defaults.timeout = 5000;
+
+      const output = normalize(await instance[fixture.method](...(fixture.args || [])));
+
+      if (RECORD) {
+        if (rerecord) {
+          assert.deepEqual(standIn.missing, [], 'live requests that could not be recorded');
+          const recorded = Object.values(standIn.routes);
+          for (const old of Object.values(fixture.responses || {})) {
+            if (!recorded.includes(old)) fs.rmSync(path.join(dir, 'responses', old), { force: true });
+          }
+          delete fixture.synthetic;
+        }
+        fixture.responses = standIn.routes;
+        fixture.expected = output;
+        fs.writeFileSync(fixturePath, `${JSON.stringify(fixture, null, 2)}\n`);
+        return;
+      }
+      assert.deepEqual(standIn.missing, [], 'requests without a recorded response');
+      assert.deepEqual(output, fixture.expected);
+    });
+  }
+}
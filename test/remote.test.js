@@ -0,0 +1,155 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const plugins = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+process.env.PLUGINS_DIR = plugins;
+
+const { remoteRouter, remoteProviderClass } = require('../src/lib/remote');
+const { createProvider, describeProvider, describeIdlePlugins } = require('../src/lib/providers');
+const { listPlugins } = require('../src/lib/plugins');
+
+// Local provider served through remoteRouter, as the server.js wrappers do
+class BookshopProvider {
+  constructor() {
+    this.id = 'bookshop';
+  }
+
+  async searchBooks(query, author, lang) {
+    return { matches: [{ id: 'b1', title: query, author: 'Andrzej Sapkowski', url: 'https://bookshop.example/b1', locale: lang }] };
+  }
+
+  async searchByIdentifier(type, value) {
+    return { matches: [{ id: 'b1', title: 'Ostatnie życzenie', authors: ['Andrzej Sapkowski'], identifiers: { [type]: value } }] };
+  }
+
+  itemSnippet({ id, url }) {
+    return { id: id || url.split('/').pop(), url };
+  }
+
+  async getFullMetadata(match) {
+    if (match.id === 'gone') return null;
+    return { ...match, title: match.title || 'Ostatnie życzenie', narrator: 'Krzysztof Gosztyła', duration: 647 };
+  }
+}
+BookshopProvider.supportedLanguages = ['pl'];
+BookshopProvider.identifierTypes = ['isbn'];
+BookshopProvider.healthFields = ['title', 'narrator'];
+BookshopProvider.urlPatterns = [/^https?:\/\/bookshop\.example\//i];
+
+let server;
+let url;
+
+before(async () => {
+  const app = express();
+  app.use('/remote', remoteRouter(new BookshopProvider()));
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  url = `http://127.0.0.1:${server.address().port}/remote`;
+});
+
+after(() => {
+  fs.rmSync(plugins, { recursive: true, force: true });
+  return new Promise(resolve => server.close(resolve));
+});
+
+test('a remote provider searches, fetches details and looks up identifiers over the protocol', async () => {
+  const Remote = remoteProviderClass('shop', { url: `${url}/` });
+  const remote = new Remote({ timeoutMs: 2000, retry: { retries: 0 } });
+
+  const { matches } = await remote.searchBooks('Ostatnie życzenie', '', 'pl');
+  assert.equal(matches.length, 1);
+  assert.deepEqual(matches[0].authors, ['Andrzej Sapkowski']);
+  assert.equal(matches[0].locale, 'pl');
+  assert.deepEqual(matches[0].source, { id: 'shop', description: 'shop', link: url });
+
+  const full = await remote.getFullMetadata(matches[0]);
+  assert.equal(full.narrator, 'Krzysztof Gosztyła');
+  assert.equal(full.id, 'b1');
+  assert.equal(await remote.getFullMetadata({ id: 'gone', title: 'x' }), null);
+
+  const item = await remote.getFullMetadata(remote.itemSnippet({ url: 'https://bookshop.example/b7' }));
+  assert.equal(item.id, 'b7');
+  assert.equal(item.title, 'Ostatnie życzenie');
+
+  // identifier types are unknown until /meta has been read
+  assert.deepEqual(await remote.searchByIdentifier('isbn', '9788375780635'), { matches: [] });
+  await remote.refreshMeta();
+  assert.deepEqual(Remote.identifierTypes, ['isbn']);
+  assert.ok(Remote.urlPatterns[0].test('https://BOOKSHOP.example/b1'));
+  const byIsbn = await remote.searchByIdentifier('isbn', '9788375780635');
+  assert.equal(byIsbn.matches[0].identifiers.isbn, '9788375780635');
+});
+
+test('the remote protocol only fetches details for the provider\'s own links', async () => {
+  const post = (match) => fetch(`${url}/details`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ match }) });
+  assert.equal((await post({ url: 'http://169.254.169.254/latest/meta-data/' })).status, 400);
+  assert.equal((await post({ url: 'https://bookshop.example.attacker.test/b1' })).status, 400);
+  assert.equal((await post({ url: 'https://bookshop.example/b1' })).status, 200);
+  assert.equal((await post({ id: 'b1' })).status, 200);
+});
+
+test('capabilities set in config win over the remote /meta', async () => {
+  const Remote = remoteProviderClass('shop', { url, supportedLanguages: ['pl', 'en'], identifierTypes: [] });
+  const remote = new Remote({ timeoutMs: 2000 });
+  await remote.refreshMeta();
+  assert.deepEqual(Remote.supportedLanguages, ['pl', 'en']);
+  assert.deepEqual(Remote.identifierTypes, []);
+  assert.deepEqual(Remote.healthFields, ['title', 'narrator']);
+  const meta = describeProvider({ name: 'shop', instance: remote, ProviderClass: Remote, kind: 'remote' });
+  assert.equal(meta.url, url);
+  assert.equal(meta.remote.protocol, 1);
+  assert.deepEqual(meta.capabilities, { search: true, details: true, identifiers: false, itemLookup: true });
+});
+
+test('an unreachable remote returns no matches', async () => {
+  const Remote = remoteProviderClass('down', { url: 'http://127.0.0.1:9/remote' });
+  const remote = new Remote({ timeoutMs: 1000, retry: { retries: 0 } });
+  assert.deepEqual(await remote.searchBooks('x'), { matches: [] });
+  assert.equal(await remote.refreshMeta(), null);
+});
+
+function writePlugin(dir, manifest, source) {
+  fs.mkdirSync(path.join(plugins, dir), { recursive: true });
+  fs.writeFileSync(path.join(plugins, dir, 'manifest.json'), JSON.stringify(manifest));
+  if (source) fs.writeFileSync(path.join(plugins, dir, 'provider.js'), source);
+}
+
+test('plugins load from the plugins directory with capabilities from their manifest', () => {
+  writePlugin('example-plugin', { name: 'example', version: '1.2.0', main: 'provider.js', supportedLanguages: ['en'], urlPatterns: ['^https://example\\.com/book/'] }, `
+    class ExampleProvider {
+      constructor(options, host) { this.id = 'example'; this.http = host.createHttpClient({ name: 'example' }); this.opts = options; }
+      async searchBooks() { return { matches: [] }; }
+    }
+    module.exports = ExampleProvider;
+    module.exports.identifierTypes = ['isbn'];
+  `);
+  writePlugin('shadow', { name: 'audioteka', main: 'provider.js' });
+  writePlugin('broken', { main: 'provider.js' });
+
+  const list = listPlugins();
+  assert.equal(list.find(p => p.name === 'example').error, null);
+  assert.match(list.find(p => p.name === 'shadow').error, /taken by a built-in provider/);
+  assert.match(list.find(p => p.name === 'broken').error, /invalid manifest/);
+
+  const p = createProvider('example', { enabled: true, language: 'en' });
+  assert.equal(p.kind, 'plugin');
+  assert.equal(typeof p.instance.http.get, 'function');
+  const meta = describeProvider(p);
+  assert.deepEqual(meta.supportedLanguages, ['en']);
+  assert.deepEqual(meta.identifierTypes, ['isbn']);
+  assert.deepEqual(meta.urlPatterns, ['^https:\\/\\/example\\.com\\/book\\/']);
+  assert.equal(meta.plugin.version, '1.2.0');
+  assert.deepEqual(meta.capabilities, { search: true, details: false, identifiers: false, itemLookup: true });
+
+  const idle = describeIdlePlugins(['example'], { providers: {} });
+  assert.deepEqual(idle.map(i => i.name).sort(), ['broken', 'shadow']);
+  assert.equal(idle[0].enabled, false);
+
+  assert.throws(() => createProvider('nothing', {}), /no built-in provider, plugin or remote\.url/);
+  assert.equal(createProvider('audioteka', {}).kind, 'builtin');
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cheerio = require('cheerio');
+
+// overrides are read from RULES_DIR, so point it at an empty scratch directory
+const overrides = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+process.env.RULES_DIR = overrides;
+
+const { extractField, extractFields } = require('../src/lib/extract');
+const { getRules, listRules, reloadRules, validateRules } = require('../src/lib/rules');
+
+test.after(() => fs.rmSync(overrides, { recursive: true, force: true }));
+
+const page = cheerio.load(`
+  <dl><dt title="Data pierwszego wydania polskiego">Data 1. wyd. pol.:</dt><dd>1993-01-01</dd>
+      <dt>Głosy</dt><dd><a>Jan Kowalski</a><a>Anna Nowak</a></dd></dl>
+  <table><tr><td>Interpret</td><td>Otakar BrousekJan Hyhlík</td></tr>
+         <tr><td>Stopáž</td><td>12 hodin 32 minut</td></tr></table>
+  <div class="cover"><img data-src="/c.jpg?w=200"></div>
+  <span class="series">Saga o wiedźminie (tom 2)</span>
+`);
+const layouts = [
+  { label: 'dt', next: 'dd' },
+  { row: 'table tr', label: 'td:first-child', value: 'td:last-child' }
+];
+
+test('label sources find values through the layouts by synonym, text or title', () => {
+  const ctx = { layouts };
+  assert.equal(extractField(page, page.root(), { from: [{ label: ['Délka', 'Stopáž'] }], post: ['durationMinutes'] }, ctx), 752);
+  assert.equal(extractField(page, page.root(), { from: [{ label: ['Interpret', 'Čte'] }], post: ['splitRunTogetherNames'] }, ctx), 'Otakar Brousek, Jan Hyhlík');
+  assert.equal(extractField(page, page.root(), { from: [{ label: ['pierwszego wydania'], labelMatch: 'contains' }] }, ctx), '1993-01-01');
+  assert.equal(extractField(page, page.root(), { from: [{ label: ['pierwszego wydania'] }] }, ctx), undefined);
+  assert.deepEqual(extractField(page, page.root(), { from: [{ label: ['Głosy'], links: true }], multiple: true }, ctx), ['Jan Kowalski', 'Anna Nowak']);
+});
+
+test('sources are tried in order and post steps shape the value', () => {
+  const fields = extractFields(page, page.root(), {
+    cover: { from: [{ selector: '.cover img', attr: ['src', 'data-src'] }], post: ['absoluteUrl', 'stripQuery'] },
+    narrator: { from: [{ label: ['Czyta'] }, { label: ['Głosy'], links: true }], multiple: true, post: [['join', ' & ']] },
+    series: { from: [{ selector: '.series' }], post: [['replace', '\\s*\\(tom \\d+.*?\\)\\s*$', '']] },
+    seriesIndex: { from: [{ selector: '.series' }], post: [['match', '\\(tom (\\d+)'], 'integer'] },
+    rating: { from: [{ selector: '.missing' }] }
+  }, { baseUrl: 'https://example.com', layouts });
+  assert.deepEqual(fields, {
+    cover: 'https://example.com/c.jpg',
+    narrator: 'Jan Kowalski & Anna Nowak',
+    series: 'Saga o wiedźminie',
+    seriesIndex: 2
+  });
+});
+
+test('validateRules rejects unknown keys, post-processors and broken patterns', () => {
+  assert.throws(() => validateRules({ detail: { fields: { title: { from: [{ selecter: 'h1' }] } } } }), /Invalid rules/);
+  assert.throws(() => validateRules({ detail: { fields: { title: { from: [{ selector: 'h1' }], post: ['shout'] } } } }), /unknown post-processor "shout"/);
+  assert.throws(() => validateRules({ detail: { fields: { title: { from: [{ selector: 'h1' }], post: [['match', '(']] } } } }), /detail\.title/);
+  assert.throws(() => validateRules({ labels: [{ label: 'dt' }], detail: { fields: {} } }), /Invalid rules/);
+});
+
+test('the shipped rule files are valid', () => {
+  const list = reloadRules();
+  assert.ok(list.length >= 3);
+  for (const r of list) assert.equal(r.error, null, `${r.provider}/${r.lang}`);
+  assert.ok(list.some(r => r.provider === 'audioteka' && r.lang === 'cz' && r.source === 'default'));
+});
+
+test('overrides merge over the defaults, reload without a restart and fall back when invalid', () => {
+  const file = path.join(overrides, 'audioteka', 'pl.json');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ detail: { fields: { narrators: { from: [{ label: ['Lektor'] }] } } } }));
+  reloadRules();
+  const rules = getRules('audioteka', 'pl');
+  assert.deepEqual(rules.detail.fields.narrators.from, [{ label: ['Lektor'] }]);
+  assert.deepEqual(rules.detail.fields.narrators.post, [['split', ',']]);
+  assert.ok(rules.detail.fields.duration);
+  assert.equal(listRules().find(r => r.provider === 'audioteka' && r.lang === 'pl').source, 'override');
+
+  fs.writeFileSync(file, JSON.stringify({ detail: { fields: { narrators: { from: [] } } } }));
+  const entry = reloadRules().find(r => r.provider === 'audioteka' && r.lang === 'pl');
+  assert.equal(entry.source, 'default');
+  assert.match(entry.error, /pl\.json: Invalid rules/);
+  assert.deepEqual(getRules('audioteka', 'pl').detail.fields.narrators.from, [{ label: ['Głosy'], links: true }]);
+
+  fs.rmSync(file);
+  reloadRules();
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeText, normalizeName, scoreTitle, scoreAuthorName, tokenCoverage } = require('../src/lib/scoring');
+
+test('titles are compared folded, without volume markers and punctuation', () => {
+  assert.equal(normalizeText('Wiedźmin. Tom 1: Ostatnie życzenie'), 'wiedzmin ostatnie zyczenie');
+  assert.equal(normalizeText('Zaklínač (Díl 2)'), 'zaklinac');
+  assert.equal(normalizeText('Władca Pierścieni T.1'), 'wladca pierscieni');
+  assert.equal(normalizeName('Sapkowski, Andrzej'), 'andrzej sapkowski');
+});
+
+// [candidate, query, minimum score, maximum score, method]
+const TITLES = [
+  ['Ostatnie życzenie', 'Ostatnie zyczenie', 1, 1, 'full'],
+  ['Wiedźmin. Tom 1: Ostatnie życzenie', 'Ostatnie zyczenie', 0.9, 0.95, 'part'],
+  ['Życzenie ostatnie', 'Ostatnie życzenie', 0.85, 1],
+  ['Harry Potter and the Goblet of Fire', 'Harry Potter', 0, 0.6],
+  ['Ostatnie życzenie', 'Życzenie', 0, 0.7],
+  ['Dune Messiah', 'Dune', 0, 0.7],
+  ['Krew elfów', 'Ostatnie życzenie', 0, 0.3]
+];
+
+for (const [candidate, query, min, max, method] of TITLES) {
+  test(`title "${candidate}" against "${query}"`, () => {
+    const { score, method: used } = scoreTitle(candidate, query);
+    assert.ok(score >= min && score <= max, `score ${score} not in [${min}, ${max}]`);
+    if (method) assert.equal(used, method);
+  });
+}
+
+test('a subset of the query words is not a near match', () => {
+  assert.equal(tokenCoverage('Harry Potter', 'Harry Potter and the Goblet of Fire'), 2 / 7);
+  assert.equal(tokenCoverage('Ostatnie życzenie', 'Życzenie ostatnie'), 1);
+});
+
+// [candidate, query, minimum score, maximum score, method]
+const AUTHORS = [
+  ['Andrzej Sapkowski', 'Sapkowski, Andrzej', 1, 1, 'exact'],
+  ['Sapkowski Andrzej', 'Andrzej Sapkowski', 1, 1, 'reordered'],
+  ['Andrzej Sapkowski', 'Andrzej Sapkowsky', 0.85, 0.99],
+  ['Andrzej Sapkowski', 'Andrzej Pilipiuk', 0, 0.6]
+];
+
+for (const [candidate, query, min, max, method] of AUTHORS) {
+  test(`author "${candidate}" against "${query}"`, () => {
+    const { score, method: used } = scoreAuthorName(candidate, query);
+    assert.ok(score >= min && score <= max, `score ${score} not in [${min}, ${max}]`);
+    if (method) assert.equal(used, method);
+  });
+}
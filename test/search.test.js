@@ -0,0 +1,203 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Runs the backbone against a plugin provider with a fixed catalogue and checks /search and /item
+// responses end to end. The config, cache, plugins and rules live in a temporary directory.
+
+const BOOKS = [
+  { id: 'ow', title: 'Ostatnie życzenie', authors: ['Andrzej Sapkowski'], isbn: '9788375780635', type: 'audiobook', languages: ['polski'] },
+  { id: 'ke', title: 'Krew elfów', authors: ['Andrzej Sapkowski'], type: 'audiobook' },
+  { id: 'sb', title: 'Sezon burz', authors: ['Andrzej Sapkowski'], isbn: '9788375780000', type: 'audiobook' },
+  { id: 'lw', title: 'The Last Wish', authors: ['Andrzej Sapkowski'], translators: ['Danusia Stok'], narrators: ['Peter Kenny'], type: 'audiobook', languages: ['English'] },
+  { id: 'co', title: 'Chrzest ognia', authors: ['Andrzej Sapkowski'], type: 'print' },
+  // a listing that says nothing about its format
+  { id: 'wj', title: 'Wieża jaskółki', authors: ['Andrzej Sapkowski'] },
+  // one book listed in two regional catalogues
+  { id: 'pj-se', title: 'Pani Jeziora', authors: ['Andrzej Sapkowski'], type: 'audiobook', region: 'se' },
+  { id: 'pj-pl', title: 'Pani Jeziora', authors: ['Andrzej Sapkowski'], type: 'audiobook', region: 'pl' }
+];
+
+// The catalogue is passed in providers.shelf.extra.books; search and identifier lookups return every
+// book, as sites that search an ISBN as a phrase do
+const PROVIDER = `
+const snippet = (b) => ({ id: b.id, title: b.title, authors: b.authors, type: b.type, region: b.region, url: 'https://shelf.example/book/' + b.id });
+class ShelfProvider {
+  constructor(opts) { this.books = (opts.extra && opts.extra.books) || []; }
+  async searchBooks() { return { matches: this.books.map(snippet) }; }
+  async searchByIdentifier() { return { matches: this.books.map(snippet) }; }
+  itemSnippet({ id, url }) { return { id: id || url.split('/').pop(), url }; }
+  async getFullMetadata(match) {
+    const book = this.books.find(b => b.id === match.id);
+    return book ? { ...snippet(book), ...book } : match;
+  }
+}
+ShelfProvider.identifierTypes = ['isbn'];
+ShelfProvider.urlPatterns = [/^https:\\/\\/shelf\\.example\\/book\\//];
+module.exports = ShelfProvider;
+`;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backbone-'));
+let server;
+let base;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+before(async () => {
+  const pluginDir = path.join(dir, 'plugins', 'shelf');
+  fs.mkdirSync(pluginDir, { recursive: true });
+  fs.writeFileSync(path.join(pluginDir, 'manifest.json'), JSON.stringify({ name: 'shelf', main: 'provider.js' }));
+  fs.writeFileSync(path.join(pluginDir, 'provider.js'), PROVIDER);
+  fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({
+    providers: { shelf: { enabled: true, language: 'pl', extra: { books: BOOKS } } },
+    global: { similarityThreshold: 50, mergeBestResults: true, cacheEnabled: false, healthCheckIntervalMin: 0 },
+    profiles: {
+      nolang: { providers: { shelf: { language: '' } } },
+      audioonly: { global: { allowBooks: false } },
+      lenient: { global: { similarityThreshold: 0 } },
+      regional: { providers: { shelf: { extra: { preferredRegions: ['se'] } } }, global: { mergeBestResults: false } },
+      enrichonly: { providers: { shelf: { role: 'enrichment' } }, global: { mergeBestResults: false } }
+    }
+  }));
+
+  const port = await freePort();
+  base = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'backbone', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      CONFIG_PATH: path.join(dir, 'config.json'),
+      DATA_DIR: path.join(dir, 'data'),
+      PLUGINS_DIR: path.join(dir, 'plugins'),
+      RULES_DIR: path.join(dir, 'rules')
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  await new Promise((resolve, reject) => {
+    let out = '';
+    server.once('exit', code => reject(new Error(`backbone exited with ${code}: ${out}`)));
+    server.stderr.on('data', (chunk) => { out += chunk; });
+    server.stdout.on('data', (chunk) => {
+      out += chunk;
+      if (out.includes('Backbone listening')) resolve();
+    });
+  });
+});
+
+after(async () => {
+  // the backbone writes its cache on SIGTERM; remove the directory once it is gone
+  if (server && server.exitCode === null) {
+    const exited = new Promise(resolve => server.once('exit', resolve));
+    server.kill();
+    await exited;
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function get(pathAndQuery) {
+  const response = await fetch(`${base}${pathAndQuery}`);
+  return { status: response.status, body: await response.json() };
+}
+
+test('identifier hits are kept only when their details carry the requested identifier', async () => {
+  const { status, body } = await get('/search?isbn=978-83-7578-063-5');
+  assert.equal(status, 200);
+  assert.deepEqual(body.matches.map(m => [m.title, m.identifierMatch]), [['Ostatnie życzenie', 'isbn']]);
+  // with nothing to score them against, hits without an identifier are dropped even at threshold 0
+  const lenient = await get('/profiles/lenient/search?isbn=978-83-7578-063-5');
+  assert.deepEqual(lenient.body.matches.map(m => [m.title, m.identifierMatch]), [['Ostatnie życzenie', 'isbn']]);
+
+  // without an identifier in its details a hit is scored against the title query like any other
+  const withQuery = await get(`/search?isbn=9788375780635&query=${encodeURIComponent('Krew elfów')}`);
+  assert.deepEqual(withQuery.body.matches.map(m => [m.title, !!m.identifierMatch]), [['Ostatnie życzenie', true], ['Krew elfów', false]]);
+});
+
+test('/item only fetches links of the named provider', async () => {
+  const foreign = await get(`/item?provider=shelf&url=${encodeURIComponent('http://169.254.169.254/latest/meta-data/')}`);
+  assert.equal(foreign.status, 400);
+  const own = await get(`/item?provider=shelf&url=${encodeURIComponent('https://shelf.example/book/ke')}`);
+  assert.equal(own.status, 200);
+  assert.equal(own.body.matches[0].title, 'Krew elfów');
+});
+
+test('results carry the role lists next to contributors and the Audiobookshelf strings', async () => {
+  const { body } = await get(`/search?query=${encodeURIComponent('The Last Wish')}`);
+  const [book] = body.matches;
+  assert.equal(book.title, 'The Last Wish');
+  assert.deepEqual(book.translators, ['Danusia Stok']);
+  assert.deepEqual(book.narrators, ['Peter Kenny']);
+  assert.equal(book.author, 'Andrzej Sapkowski');
+  assert.equal(book.narrator, 'Peter Kenny');
+  assert.deepEqual(book.contributors, [
+    { name: 'Andrzej Sapkowski', role: 'author' },
+    { name: 'Peter Kenny', role: 'narrator' },
+    { name: 'Danusia Stok', role: 'translator' }
+  ]);
+});
+
+test('languages are sent as ISO 639-1 codes and filtered against the provider language by default', async () => {
+  const query = `query=${encodeURIComponent('The Last Wish')}`;
+  const kept = await get(`/search?${query}`);
+  assert.deepEqual(kept.body.matches[0].languages, ['en']);
+  assert.equal(kept.body.matches[0].language, 'en');
+
+  const dropped = await get(`/search?${query}&languageFilter=drop`);
+  assert.equal(dropped.status, 200);
+  assert.deepEqual(dropped.body.matches, []);
+  const english = await get(`/search?${query}&languageFilter=drop&lang=en`);
+  assert.deepEqual(english.body.matches.map(m => m.title), ['The Last Wish']);
+
+  // without ?lang=, global.contentLanguage or a provider language there is nothing to filter against
+  const nolang = await get(`/profiles/nolang/search?${query}&languageFilter=demote`);
+  assert.equal(nolang.status, 400);
+  assert.match(nolang.body.error, /languageFilter=demote needs lang/);
+});
+
+test('formats are filtered by ?format= and allowBooks/allowAudiobooks, untyped results pass', async () => {
+  const titles = async (pathAndQuery) => (await get(pathAndQuery)).body.matches.map(m => m.title);
+  const print = `query=${encodeURIComponent('Chrzest ognia')}`;
+  const untyped = `query=${encodeURIComponent('Wieża jaskółki')}`;
+
+  assert.deepEqual(await titles(`/search?${print}`), ['Chrzest ognia']);
+  assert.deepEqual(await titles(`/search?${print}&format=audiobook`), []);
+  assert.deepEqual(await titles(`/search?${print}&format=print`), ['Chrzest ognia']);
+  assert.deepEqual(await titles(`/search?query=${encodeURIComponent('Krew elfów')}&format=print`), []);
+  assert.deepEqual(await titles(`/search?${untyped}&format=audiobook`), ['Wieża jaskółki']);
+
+  assert.deepEqual(await titles(`/profiles/audioonly/search?${print}`), []);
+  assert.deepEqual(await titles(`/profiles/audioonly/search?${untyped}`), ['Wieża jaskółki']);
+  assert.deepEqual(await titles(`/profiles/audioonly/search?query=${encodeURIComponent('Krew elfów')}`), ['Krew elfów']);
+});
+
+test('?region= drops results of other regions and region order breaks ties', async () => {
+  const regions = async (pathAndQuery) => (await get(pathAndQuery)).body.matches.map(m => m.region);
+  const query = `query=${encodeURIComponent('Pani Jeziora')}`;
+
+  assert.deepEqual(await regions(`/profiles/regional/search?${query}&region=pl`), ['pl']);
+  assert.deepEqual(await regions(`/profiles/regional/search?${query}&region=pl,se`), ['pl', 'se']);
+  assert.deepEqual(await regions(`/profiles/regional/search?${query}&region=se,pl`), ['se', 'pl']);
+  // without ?region= the provider's preferredRegions decide
+  assert.deepEqual(await regions(`/profiles/regional/search?${query}`), ['se', 'pl']);
+  // results without a region are not filtered
+  const regionless = await get(`/profiles/regional/search?query=${encodeURIComponent('Wieża jaskółki')}&region=pl`);
+  assert.deepEqual(regionless.body.matches.map(m => m.title), ['Wieża jaskółki']);
+});
+
+test('enrichment providers are not searched without mergeBestResults', async () => {
+  const { status, body } = await get(`/profiles/enrichonly/search?query=${encodeURIComponent('Krew elfów')}`);
+  assert.equal(status, 200);
+  assert.deepEqual(body.providers, [{ provider: 'shelf', skipped: 'enrichment' }]);
+  assert.deepEqual(body.matches, []);
+});